@@ -36,6 +36,7 @@ async function main() {
 
     // Generate video
     const result = await generateVideo(input, {
+      assetBaseDir: path.dirname(path.resolve(inputFile)),
       executeFfmpeg: false, // Set to true to execute FFmpeg commands
       dryRun: false,
       verbose: true,
@@ -98,6 +99,8 @@ async function main() {
       console.error('   3. Or use a cheaper model:');
       console.error('      LLM_MODEL=gpt-4o-mini     # Cheaper alternative');
       console.error('      LLM_MODEL=gpt-3.5-turbo   # Most affordable');
+      console.error('   4. Or fall back to other providers when one is exhausted:');
+      console.error('      LLM_PROVIDER=openai,anthropic,ollama');
     } else if (error.message.includes('Ollama') || error.message.includes('ECONNREFUSED')) {
       console.error('\n💡 Ollama Connection Error. To fix this:');
       console.error('   1. Install Ollama: https://ollama.ai');
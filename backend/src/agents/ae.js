@@ -4,15 +4,18 @@
  */
 
 import { LLMClient } from '../core/llm-client.js';
-
-const { parseJSON } = LLMClient;
+import { generateValidated } from '../core/video-orchestrator.js';
+import { AEResultSchema } from '../schemas/agent-results.schema.js';
+import { describeAsset } from '../core/assets.js';
 
 export class AE {
   /**
    * @param {LLMClient} llmClient
+   * @param {{maxAttempts?: number}} [options] - maxAttempts bounds the repair loop
    */
-  constructor(llmClient) {
+  constructor(llmClient, options = {}) {
     this.llmClient = llmClient;
+    this.maxAttempts = options.maxAttempts;
   }
 
   /**
@@ -26,15 +29,14 @@ export class AE {
     const prompt = this.buildPrompt(input, cvaResult, cdResult, veResult);
     const systemPrompt = this.getSystemPrompt();
 
-    const response = await this.llmClient.generate(prompt, systemPrompt);
-    const result = this.parseJSON(response.content);
-
-    // Validate result
-    if (!result.audio_tracks || !Array.isArray(result.audio_tracks)) {
-      throw new Error('Invalid AE result: missing audio_tracks array');
-    }
-
-    return result;
+    return generateValidated(this.llmClient, {
+      prompt,
+      systemPrompt,
+      agent: 'AE',
+      schema: AEResultSchema,
+      label: 'AE audio mix',
+      maxAttempts: this.maxAttempts,
+    });
   }
 
   getSystemPrompt() {
@@ -92,6 +94,8 @@ Audio guidelines:
 - Voiceover: 0.9-1.0
 - Target LUFS: -16 to -14 for web content
 - Ducking: Lower music volume when voiceover is active
+- Ducking "when": the id (or id prefix) of the voiceover track that triggers ducking
+- Give voiceover tracks a start_time and duration so music only dips while they play
 - Fade duration: 0.3-0.8 seconds for smooth transitions`;
   }
 
@@ -107,7 +111,7 @@ Audio guidelines:
     const totalDuration = cvaResult.structure.total_duration;
 
     const audioList = audioAssets
-      .map(asset => `  - ${asset.id}: ${asset.src}`)
+      .map(asset => `  - ${describeAsset(asset)}`)
       .join('\n');
 
     return `Create audio mix for this video:
@@ -130,20 +134,12 @@ Create audio mix that:
 1. Uses all provided audio assets (music, etc.)
 2. Handles voiceover (TTS or file) if specified
 3. Implements ducking (lower music when voiceover plays)
-4. Loops music if needed to fill duration
+4. Loops music if needed to fill duration (use the measured durations when given)
 5. Sets appropriate volume levels
 6. Provides target LUFS for normalization
+7. Uses the measured voiceover duration, if given, as the voiceover track duration
 
 Output your audio mix plan as JSON following the required structure.`;
   }
-
-  /**
-   * @template T
-   * @param {string} response
-   * @returns {T}
-   */
-  parseJSON(response) {
-    return LLMClient.parseJSON(response);
-  }
 }
 
@@ -4,15 +4,18 @@
  */
 
 import { LLMClient } from '../core/llm-client.js';
-
-const { parseJSON } = LLMClient;
+import { generateValidated } from '../core/video-orchestrator.js';
+import { CDResultSchema } from '../schemas/agent-results.schema.js';
+import { describeAsset } from '../core/assets.js';
 
 export class CD {
   /**
    * @param {LLMClient} llmClient
+   * @param {{maxAttempts?: number}} [options] - maxAttempts bounds the repair loop
    */
-  constructor(llmClient) {
+  constructor(llmClient, options = {}) {
     this.llmClient = llmClient;
+    this.maxAttempts = options.maxAttempts;
   }
 
   /**
@@ -24,15 +27,14 @@ export class CD {
     const prompt = this.buildPrompt(input, cvaResult);
     const systemPrompt = this.getSystemPrompt();
 
-    const response = await this.llmClient.generate(prompt, systemPrompt);
-    const result = this.parseJSON(response.content);
-
-    // Validate result
-    if (!result.creative_direction || !result.per_image) {
-      throw new Error('Invalid CD result: missing creative_direction or per_image');
-    }
-
-    return result;
+    return generateValidated(this.llmClient, {
+      prompt,
+      systemPrompt,
+      agent: 'CD',
+      schema: CDResultSchema,
+      label: 'CD creative direction',
+      maxAttempts: this.maxAttempts,
+    });
   }
 
   getSystemPrompt() {
@@ -76,7 +78,8 @@ You must output a JSON object with this structure:
 Ken Burns coordinates:
 - x, y: 0.0 to 1.0 (0.5 is center)
 - scale: 1.0 = no zoom, >1.0 = zoom in, <1.0 = zoom out
-- Typical Ken Burns: start at center (0.5, 0.5) scale 1.0, end with slight pan and zoom (1.1-1.3x)`;
+- Typical Ken Burns: start at center (0.5, 0.5) scale 1.0, end with slight pan and zoom (1.1-1.3x)
+- Respect image orientation: pan portrait images vertically and landscape images horizontally, and keep the subject in frame when the image aspect ratio differs from the video`;
   }
 
   /**
@@ -106,7 +109,7 @@ USER INSTRUCTIONS:
 - Transitions: ${input.instructions.transitions || 'crossfade'}
 
 IMAGES TO PROCESS:
-${imageAssets.map(img => `  - ${img.id}: ${img.src}`).join('\n')}
+${imageAssets.map(img => `  - ${describeAsset(img)}`).join('\n')}
 
 For each image:
 1. Create Ken Burns motion path (if camera_movement is kenburns)
@@ -116,14 +119,5 @@ For each image:
 
 Output your creative direction as JSON following the required structure.`;
   }
-
-  /**
-   * @template T
-   * @param {string} response
-   * @returns {T}
-   */
-  parseJSON(response) {
-    return LLMClient.parseJSON(response);
-  }
 }
 
@@ -5,13 +5,16 @@
 
 import { LLMClient } from '../core/llm-client.js';
 import { generateVideoStructure } from '../core/video-orchestrator.js';
+import { getClipDuration } from '../core/assets.js';
 
 export class CVA {
   /**
    * @param {LLMClient} llmClient
+   * @param {{maxAttempts?: number}} [options] - maxAttempts bounds the repair loop
    */
-  constructor(llmClient) {
+  constructor(llmClient, options = {}) {
     this.llmClient = llmClient;
+    this.maxAttempts = options.maxAttempts;
   }
 
   /**
@@ -20,14 +23,34 @@ export class CVA {
    */
   async execute(input) {
     // Use the new orchestrator with automatic repair/retry
-    const result = await generateVideoStructure(this.llmClient, input, 3);
+    const result = await generateVideoStructure(this.llmClient, input, this.maxAttempts);
 
     // Ensure reasoning field exists (for backward compatibility)
     if (!result.reasoning) {
       result.reasoning = 'Video structure generated successfully.';
     }
 
+    this.clampVideoSegments(input, result);
+
     return result;
   }
+
+  /**
+   * Shorten video segments planned longer than their clip's usable length
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @param {import('../core/types.js').CVAResult} result
+   */
+  clampVideoSegments(input, result) {
+    for (const segment of result.structure.segments) {
+      const asset = input.assets.find(a => a.id === segment.asset_id);
+      const clipLength = asset ? getClipDuration(asset) : undefined;
+
+      if (clipLength !== undefined && segment.duration > clipLength) {
+        result.structure.total_duration = Number((result.structure.total_duration - (segment.duration - clipLength)).toFixed(3));
+        result.reasoning += ` Segment ${segment.id} shortened from ${segment.duration}s to the ${clipLength}s length of ${asset.id}.`;
+        segment.duration = clipLength;
+      }
+    }
+  }
 }
 
@@ -0,0 +1,106 @@
+/**
+ * Plan Judge Agent
+ * Responsibilities: Compare candidate plans for the same project and score how well each meets the brief
+ */
+
+import { LLMClient } from '../core/llm-client.js';
+import { generateValidated } from '../core/video-orchestrator.js';
+import { JudgeResultSchema } from '../schemas/agent-results.schema.js';
+
+export class PlanJudge {
+  /**
+   * @param {LLMClient} llmClient
+   * @param {{maxAttempts?: number}} [options] - maxAttempts bounds the repair loop
+   */
+  constructor(llmClient, options = {}) {
+    this.llmClient = llmClient;
+    this.maxAttempts = options.maxAttempts;
+  }
+
+  /**
+   * @param {import('../core/types.js').VideoGenerationInput} input - as requested, without style seeds
+   * @param {Array<{variant: number, style_seed: string | null, json_output: import('../core/types.js').VideoGenerationOutput, human_summary: string}>} plans
+   * @returns {Promise<import('../core/types.js').JudgeResult>}
+   */
+  async execute(input, plans) {
+    return generateValidated(this.llmClient, {
+      prompt: this.buildPrompt(input, plans),
+      systemPrompt: this.getSystemPrompt(),
+      agent: 'judge',
+      schema: JudgeResultSchema,
+      label: 'plan judgement',
+      maxAttempts: this.maxAttempts,
+    });
+  }
+
+  getSystemPrompt() {
+    return `You are the Plan Judge for a video generation company. Several candidate plans were made for the same brief; a user will pick one to render.
+
+Your responsibilities:
+1. Judge how well each plan follows the brief's instructions (style, camera movement, transitions, duration)
+2. Judge pacing: segment lengths that suit the content and the target duration
+3. Judge variety and polish: camera moves, transitions and audio that fit the requested style
+4. Score every plan from 0 (unusable) to 10 (exactly what was asked), with a one-sentence reason
+
+You must output a JSON object with this structure:
+{
+  "rankings": [
+    { "variant": 1, "score": 7.5, "reason": "Follows the calm style, but the last segment drags." }
+  ]
+}
+
+Rules:
+- Include every variant exactly once
+- Score against the original brief; style notes added to a variant are not part of the brief
+- Safety findings are scored separately; do not repeat them in your reasons`;
+  }
+
+  /**
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @param {Array<{variant: number, style_seed: string | null, json_output: import('../core/types.js').VideoGenerationOutput, human_summary: string}>} plans
+   * @returns {string}
+   */
+  buildPrompt(input, plans) {
+    const candidates = plans.map(({ variant, style_seed, json_output: output, human_summary }) => {
+      const segments = output.react_timeline.segments
+        .map(segment => `${segment.asset} ${(segment.end - segment.start).toFixed(1)}s${describeTransforms(segment.transforms)}`)
+        .join(', ');
+      const transitions = [...new Set(output.timeline.map(event => event.transition?.type).filter(Boolean))];
+
+      return `VARIANT ${variant}${style_seed ? ` (style note: ${style_seed})` : ''}:
+- Duration: ${output.total_duration}s
+- Segments: ${segments || 'none'}
+- Transitions: ${transitions.join(', ') || 'cuts only'}
+- Audio: ${output.audio_mix.tracks.map(track => `${track.id} at ${track.volume}`).join(', ') || 'none'}
+- Safety: ${output.safety_issue ? `flagged (${output.safety_reason})` : 'clean'}
+- Summary: ${human_summary}`;
+    }).join('\n\n');
+
+    return `Score these candidate plans for the same video project:
+
+PROJECT: ${input.project_id}
+
+BRIEF:
+${JSON.stringify(input.instructions, null, 2)}
+
+${candidates}
+
+Output your scores as JSON following the required structure.`;
+  }
+}
+
+/**
+ * @param {import('../core/types.js').TimelineEvent['transform']} [transforms]
+ * @returns {string}
+ */
+function describeTransforms(transforms) {
+  if (!transforms?.zoom && !transforms?.pan) {
+    return '';
+  }
+
+  const moves = [
+    transforms.zoom && `zoom ${transforms.zoom.start}→${transforms.zoom.end}`,
+    transforms.pan && 'pan',
+  ].filter(Boolean);
+  return ` (${moves.join(', ')})`;
+}
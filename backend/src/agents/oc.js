@@ -8,7 +8,7 @@ import { FFmpegCommandBuilder } from '../ffmpeg/command-builder.js';
 
 export class OC {
   /**
-   * @param {LLMClient} llmClient
+   * @param {LLMClient} [llmClient] - without one, the summary is built from the output (rules planner)
    */
   constructor(llmClient) {
     this.llmClient = llmClient;
@@ -94,7 +94,7 @@ export class OC {
       assets: input.assets,
       timeline: veResult.timeline,
       audio_mix: {
-        tracks: aeResult.audio_tracks,
+        tracks: this.applyDuckingRules(aeResult),
         master_volume: 1.0,
         target_lufs: aeResult.target_lufs,
       },
@@ -104,16 +104,44 @@ export class OC {
       assumptions: this.buildAssumptions(cvaResult, cdResult, veResult, aeResult),
       safety_issue: scoResult.safety_issue,
       safety_reason: scoResult.safety_reason,
+      safety_findings: scoResult.rule_findings || [],
       total_duration: cvaResult.structure.total_duration,
     };
 
     // Build FFmpeg commands using command builder
     const commandBuilder = new FFmpegCommandBuilder(process.env.OUTPUT_DIR || './output');
-    output.ffmpeg_commands = commandBuilder.buildCommands(output);
+    output.ffmpeg_commands = commandBuilder.buildCommands(output, input.instructions.voiceover);
+    output.assumptions.push(...commandBuilder.transitionNotes(output));
 
     return output;
   }
 
+  /**
+   * Merge AE ducking rules into the tracks they target.
+   * Rules win over per-track ducking so their fade times drive the mix.
+   * @param {import('../core/types.js').AEResult} aeResult
+   * @returns {import('../core/types.js').AudioTrack[]}
+   */
+  applyDuckingRules(aeResult) {
+    const rules = aeResult.ducking_rules || [];
+
+    return aeResult.audio_tracks.map(track => {
+      const rule = rules.find(r => r.track_id === track.id);
+      if (!rule) {
+        return track;
+      }
+
+      return {
+        ...track,
+        ducking: {
+          when: rule.when,
+          target_volume: rule.target_volume,
+          fade_duration: rule.fade_duration ?? track.ducking?.fade_duration ?? 0.5,
+        },
+      };
+    });
+  }
+
   /**
    * @param {import('../core/types.js').CVAResult} cvaResult
    * @param {import('../core/types.js').CDResult} cdResult
@@ -138,6 +166,11 @@ export class OC {
    * @returns {Promise<string>}
    */
   async generateSummary(input, output) {
+    if (!this.llmClient) {
+      return `${input.project_id}: ${output.total_duration}s, ${output.timeline.length} segments, `
+        + `${input.instructions.style || 'default'} style, safety ${output.safety_issue ? 'issues flagged' : 'clean'}.`;
+    }
+
     const prompt = `Generate a concise human-readable summary (max 25 words) for this video generation project:
 
 Project: ${input.project_id}
@@ -148,7 +181,7 @@ Safety: ${output.safety_issue ? 'Issues flagged' : 'Clean'}
 
 Summary (max 25 words):`;
 
-    const response = await this.llmClient.generate(prompt);
+    const response = await this.llmClient.generate(prompt, undefined, { agent: 'OC' });
     return response.content.trim().substring(0, 150); // Ensure reasonable length
   }
 }
@@ -0,0 +1,286 @@
+/**
+ * Rules planner: deterministic stand-ins for the CVA, CD, VE, AE and SCO agents.
+ * Same inputs and result shapes as the LLM agents, no model calls, so the
+ * pipeline works offline and the output is reproducible.
+ */
+
+import { getClipDuration } from '../core/assets.js';
+import { checkSafetyRules, mergeRuleFindings, DEFAULT_SAFETY_RULES } from '../core/safety-rules.js';
+
+// Image length when there is no target_duration to split (seconds, per unit of weight)
+const DEFAULT_IMAGE_SECONDS = 3;
+
+// Video length when the clip duration is unknown
+const DEFAULT_VIDEO_SECONDS = 5;
+
+// Shortest image segment when splitting target_duration
+const MIN_IMAGE_SECONDS = 0.5;
+
+const TRANSITION_MS = 500;
+
+const MUSIC_VOLUME = 0.7;
+const DUCKED_VOLUME = 0.3;
+const DUCKING_FADE_SECONDS = 0.5;
+const TARGET_LUFS = -14;
+
+/**
+ * Ken Burns start/end frames (focus point and scale) per camera movement,
+ * keyed by the normalized movement name
+ * @type {Record<string, import('../core/types.js').KenBurnsPath | null>}
+ */
+const CAMERA_MOVES = {
+  zoomin: { start: { x: 0.5, y: 0.5, scale: 1.0 }, end: { x: 0.5, y: 0.5, scale: 1.2 } },
+  zoomout: { start: { x: 0.5, y: 0.5, scale: 1.2 }, end: { x: 0.5, y: 0.5, scale: 1.0 } },
+  panleft: { start: { x: 0.6, y: 0.5, scale: 1.15 }, end: { x: 0.4, y: 0.5, scale: 1.15 } },
+  panright: { start: { x: 0.4, y: 0.5, scale: 1.15 }, end: { x: 0.6, y: 0.5, scale: 1.15 } },
+  panup: { start: { x: 0.5, y: 0.6, scale: 1.15 }, end: { x: 0.5, y: 0.4, scale: 1.15 } },
+  pandown: { start: { x: 0.5, y: 0.4, scale: 1.15 }, end: { x: 0.5, y: 0.6, scale: 1.15 } },
+  static: null,
+  none: null,
+};
+
+const CAMERA_ALIASES = { pushin: 'zoomin', pullout: 'zoomout', still: 'static' };
+
+/**
+ * llm: the agents plan with an LLM; rules: the deterministic planners below
+ * @typedef {'llm' | 'rules'} Planner
+ */
+
+export const PLANNERS = ['llm', 'rules'];
+
+/**
+ * @param {string} [value] - defaults to PLANNER, then 'llm'
+ * @returns {Planner}
+ */
+export function resolvePlanner(value = process.env.PLANNER) {
+  if (!value) {
+    return 'llm';
+  }
+  if (!PLANNERS.includes(value)) {
+    throw new Error(`Unknown planner: ${value} (expected one of ${PLANNERS.join(', ')})`);
+  }
+  return /** @type {Planner} */ (value);
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {string}
+ */
+function normalize(value) {
+  return (value || '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * @param {number} seconds
+ * @returns {number}
+ */
+function round(seconds) {
+  return Number(seconds.toFixed(3));
+}
+
+/**
+ * Known source length of an audio asset in seconds
+ * @param {import('../core/types.js').Asset} asset
+ * @returns {number | undefined}
+ */
+function audioDuration(asset) {
+  return asset.duration ?? asset.metadata?.duration;
+}
+
+export class RulesCVA {
+  /**
+   * Visual assets in input order. Videos keep their clip length; images split
+   * what is left of target_duration by `weight` (default 1).
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @returns {Promise<import('../core/types.js').CVAResult>}
+   */
+  async execute(input) {
+    const visuals = input.assets.filter(asset => asset.type === 'image' || asset.type === 'video');
+    const images = visuals.filter(asset => asset.type === 'image');
+    const weight = asset => asset.weight ?? 1;
+
+    const videoSeconds = visuals
+      .filter(asset => asset.type === 'video')
+      .reduce((sum, asset) => sum + (getClipDuration(asset) ?? DEFAULT_VIDEO_SECONDS), 0);
+    const totalWeight = images.reduce((sum, asset) => sum + weight(asset), 0);
+    const target = input.instructions.target_duration;
+    const secondsPerWeight = target !== undefined && totalWeight > 0
+      ? (target - videoSeconds) / totalWeight
+      : DEFAULT_IMAGE_SECONDS;
+
+    const segments = visuals.map((asset, index) => ({
+      id: `segment_${index + 1}`,
+      asset_id: asset.id,
+      duration: round(asset.type === 'video'
+        ? getClipDuration(asset) ?? DEFAULT_VIDEO_SECONDS
+        : Math.max(MIN_IMAGE_SECONDS, secondsPerWeight * weight(asset))),
+      order: index + 1,
+    }));
+
+    const voiceover = input.instructions.voiceover;
+    return {
+      structure: {
+        total_duration: round(segments.reduce((sum, segment) => sum + segment.duration, 0)),
+        segments,
+        voiceover_duration: voiceover?.duration ?? 0,
+        voiceover_start: 0,
+      },
+      reasoning: target !== undefined
+        ? `Rules planner: ${target}s split across ${segments.length} segments by weight, videos at clip length.`
+        : `Rules planner: ${DEFAULT_IMAGE_SECONDS}s per image (times weight), videos at clip length.`,
+    };
+  }
+}
+
+export class RulesCD {
+  /**
+   * Ken Burns paths from instructions.camera_movement ("kenburns" or unknown
+   * values alternate zoom in and out) and the transition from instructions.transitions
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @param {import('../core/types.js').CVAResult} cvaResult
+   * @returns {Promise<import('../core/types.js').CDResult>}
+   */
+  async execute(input, cvaResult) {
+    const movement = normalize(input.instructions.camera_movement);
+    const move = CAMERA_ALIASES[movement] || movement;
+
+    const images = cvaResult.structure.segments
+      .map(segment => input.assets.find(asset => asset.id === segment.asset_id))
+      .filter(asset => asset?.type === 'image');
+
+    return {
+      creative_direction: {
+        style: input.instructions.style || 'clean',
+        mood: 'neutral',
+        feel: 'Planned by rules without an LLM',
+      },
+      per_image: images.map((asset, index) => {
+        const path = move in CAMERA_MOVES
+          ? CAMERA_MOVES[move]
+          : CAMERA_MOVES[index % 2 === 0 ? 'zoomin' : 'zoomout'];
+        return { asset_id: asset.id, ...(path && { ken_burns: path }), caption: null };
+      }),
+      transitions: [input.instructions.transitions || 'cut'],
+      captions: [],
+    };
+  }
+}
+
+export class RulesVE {
+  /**
+   * Back-to-back events in segment order with CD's Ken Burns paths and transitions
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @param {import('../core/types.js').CVAResult} cvaResult
+   * @param {import('../core/types.js').CDResult} cdResult
+   * @returns {Promise<import('../core/types.js').VEResult>}
+   */
+  async execute(input, cvaResult, cdResult) {
+    const segments = [...cvaResult.structure.segments].sort((a, b) => a.order - b.order);
+    const transition = cdResult.transitions[0];
+    const hasTransition = transition && !['', 'cut', 'hardcut', 'none'].includes(normalize(transition));
+
+    let cursor = 0;
+    const timeline = segments.map((segment, index) => {
+      const path = cdResult.per_image.find(image => image.asset_id === segment.asset_id)?.ken_burns;
+      const startMs = cursor;
+      cursor += Math.round(segment.duration * 1000);
+
+      return {
+        segment_id: segment.id,
+        start_ms: startMs,
+        end_ms: cursor,
+        transform: path
+          ? {
+            zoom: { start: path.start.scale, end: path.end.scale },
+            pan: { start: { x: path.start.x, y: path.start.y }, end: { x: path.end.x, y: path.end.y } },
+          }
+          : {},
+        transition: hasTransition && index < segments.length - 1
+          ? { type: transition, duration_ms: TRANSITION_MS }
+          : null,
+      };
+    });
+
+    return { timeline, transforms: [], transition_offsets: [] };
+  }
+}
+
+export class RulesAE {
+  /**
+   * Every audio asset from the start at music volume (looped when shorter than
+   * the video), a voiceover file on top, and music ducked under the voiceover
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @param {import('../core/types.js').CVAResult} cvaResult
+   * @returns {Promise<import('../core/types.js').AEResult>}
+   */
+  async execute(input, cvaResult) {
+    const total = cvaResult.structure.total_duration;
+    const music = input.assets.filter(asset => asset.type === 'audio');
+    const voiceover = input.instructions.voiceover;
+    const hasVoiceover = voiceover?.type === 'file' && Boolean(voiceover.src);
+
+    const audioTracks = music.map(asset => ({
+      id: asset.id,
+      src: asset.src,
+      start_time: 0,
+      duration: total,
+      volume: MUSIC_VOLUME,
+    }));
+    if (hasVoiceover) {
+      audioTracks.push({
+        id: 'voiceover',
+        src: voiceover.local_path || voiceover.src,
+        start_time: cvaResult.structure.voiceover_start,
+        ...(voiceover.duration !== undefined && { duration: voiceover.duration }),
+        volume: 1.0,
+      });
+    }
+
+    const firstMusicLength = music.length > 0 ? audioDuration(music[0]) : undefined;
+    return {
+      audio_tracks: audioTracks,
+      ducking_rules: hasVoiceover
+        ? music.map(asset => ({
+          track_id: asset.id,
+          when: 'voiceover',
+          target_volume: DUCKED_VOLUME,
+          fade_duration: DUCKING_FADE_SECONDS,
+        }))
+        : [],
+      music_loop: firstMusicLength !== undefined && firstMusicLength < total
+        ? { start: 0, end: firstMusicLength }
+        : null,
+      target_lufs: TARGET_LUFS,
+      mixing_instructions: hasVoiceover
+        ? `Music at ${MUSIC_VOLUME}, ducked to ${DUCKED_VOLUME} under the voiceover; normalized to ${TARGET_LUFS} LUFS.`
+        : `Music at ${MUSIC_VOLUME}; normalized to ${TARGET_LUFS} LUFS.`,
+    };
+  }
+}
+
+export class RulesSCO {
+  /**
+   * @param {{rules?: import('../core/safety-rules.js').SafetyRules}} [options]
+   */
+  constructor(options = {}) {
+    this.rules = options.rules || DEFAULT_SAFETY_RULES;
+  }
+
+  /**
+   * Only the local safety rules; nothing judges content without an LLM
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @param {import('../core/types.js').CVAResult} cvaResult
+   * @param {import('../core/types.js').CDResult} cdResult
+   * @returns {Promise<import('../core/types.js').SCOResult>}
+   */
+  async execute(input, cvaResult, cdResult) {
+    return mergeRuleFindings({
+      safety_issue: false,
+      safety_reason: null,
+      copyright_risk: false,
+      personal_image_risk: false,
+      deepfake_risk: false,
+      safe_alternative: null,
+    }, checkSafetyRules(input, cdResult, this.rules));
+  }
+}
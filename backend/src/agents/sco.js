@@ -4,38 +4,44 @@
  */
 
 import { LLMClient } from '../core/llm-client.js';
-
-const { parseJSON } = LLMClient;
+import { generateValidated } from '../core/video-orchestrator.js';
+import { SCOResultSchema } from '../schemas/agent-results.schema.js';
+import { describeAsset } from '../core/assets.js';
+import { checkSafetyRules, mergeRuleFindings, DEFAULT_SAFETY_RULES } from '../core/safety-rules.js';
 
 export class SCO {
   /**
    * @param {LLMClient} llmClient
+   * @param {{maxAttempts?: number, rules?: import('../core/safety-rules.js').SafetyRules}} [options] - maxAttempts bounds the repair loop; rules are checked before the LLM
    */
-  constructor(llmClient) {
+  constructor(llmClient, options = {}) {
     this.llmClient = llmClient;
+    this.maxAttempts = options.maxAttempts;
+    this.rules = options.rules || DEFAULT_SAFETY_RULES;
   }
 
   /**
    * @param {import('../core/types.js').VideoGenerationInput} input
    * @param {import('../core/types.js').CVAResult} cvaResult
    * @param {import('../core/types.js').CDResult} cdResult
-   * @param {import('../core/types.js').VEResult} veResult
-   * @param {import('../core/types.js').AEResult} aeResult
    * @returns {Promise<import('../core/types.js').SCOResult>}
    */
-  async execute(input, cvaResult, cdResult, veResult, aeResult) {
-    const prompt = this.buildPrompt(input, cvaResult, cdResult, veResult, aeResult);
+  async execute(input, cvaResult, cdResult) {
+    // Rule findings stand regardless of the LLM's judgment
+    const findings = checkSafetyRules(input, cdResult, this.rules);
+    const prompt = this.buildPrompt(input, cvaResult, cdResult, findings);
     const systemPrompt = this.getSystemPrompt();
 
-    const response = await this.llmClient.generate(prompt, systemPrompt);
-    const result = this.parseJSON(response.content);
-
-    // Validate result
-    if (typeof result.safety_issue !== 'boolean') {
-      throw new Error('Invalid SCO result: safety_issue must be boolean');
-    }
+    const result = await generateValidated(this.llmClient, {
+      prompt,
+      systemPrompt,
+      agent: 'SCO',
+      schema: SCOResultSchema,
+      label: 'SCO safety assessment',
+      maxAttempts: this.maxAttempts,
+    });
 
-    return result;
+    return mergeRuleFindings(result, findings);
   }
 
   getSystemPrompt() {
@@ -73,13 +79,12 @@ Safety guidelines:
    * @param {import('../core/types.js').VideoGenerationInput} input
    * @param {import('../core/types.js').CVAResult} cvaResult
    * @param {import('../core/types.js').CDResult} cdResult
-   * @param {import('../core/types.js').VEResult} veResult
-   * @param {import('../core/types.js').AEResult} aeResult
+   * @param {import('../core/safety-rules.js').RuleFinding[]} [findings] - from the local rules engine
    * @returns {string}
    */
-  buildPrompt(input, cvaResult, cdResult, veResult, aeResult) {
+  buildPrompt(input, cvaResult, cdResult, findings = []) {
     const assetsList = input.assets
-      .map(asset => `  - ${asset.id} (${asset.type}): ${asset.src}`)
+      .map(asset => `  - ${describeAsset(asset)}`)
       .join('\n');
 
     return `Perform safety and compliance check for this video project:
@@ -98,8 +103,8 @@ VIDEO CONTENT:
 - Style: ${cdResult.creative_direction.style}
 - Voiceover: ${input.instructions.voiceover ? 'Yes' : 'No'}
 
-AUDIO TRACKS:
-${aeResult.audio_tracks.map(track => `  - ${track.id}: ${track.src}`).join('\n')}
+RULE CHECKS (already decided; propose alternatives for these too):
+${findings.map(finding => `  - ${finding.message}`).join('\n') || '  - All passed'}
 
 Check for:
 1. Copyright violations (unauthorized use of copyrighted material)
@@ -114,14 +119,5 @@ If you identify risks, provide:
 
 Output your safety assessment as JSON following the required structure.`;
   }
-
-  /**
-   * @template T
-   * @param {string} response
-   * @returns {T}
-   */
-  parseJSON(response) {
-    return LLMClient.parseJSON(response);
-  }
 }
 
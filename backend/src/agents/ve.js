@@ -4,15 +4,18 @@
  */
 
 import { LLMClient } from '../core/llm-client.js';
-
-const { parseJSON } = LLMClient;
+import { generateValidated } from '../core/video-orchestrator.js';
+import { VEResultSchema } from '../schemas/agent-results.schema.js';
+import { getClipDuration } from '../core/assets.js';
 
 export class VE {
   /**
    * @param {LLMClient} llmClient
+   * @param {{maxAttempts?: number}} [options] - maxAttempts bounds the repair loop
    */
-  constructor(llmClient) {
+  constructor(llmClient, options = {}) {
     this.llmClient = llmClient;
+    this.maxAttempts = options.maxAttempts;
   }
 
   /**
@@ -25,15 +28,14 @@ export class VE {
     const prompt = this.buildPrompt(input, cvaResult, cdResult);
     const systemPrompt = this.getSystemPrompt();
 
-    const response = await this.llmClient.generate(prompt, systemPrompt);
-    const result = this.parseJSON(response.content);
-
-    // Validate result
-    if (!result.timeline || !Array.isArray(result.timeline)) {
-      throw new Error('Invalid VE result: missing timeline array');
-    }
-
-    return result;
+    return generateValidated(this.llmClient, {
+      prompt,
+      systemPrompt,
+      agent: 'VE',
+      schema: VEResultSchema,
+      label: 'VE timeline',
+      maxAttempts: this.maxAttempts,
+    });
   }
 
   getSystemPrompt() {
@@ -81,6 +83,7 @@ You must output a JSON object with this structure:
 Important:
 - All times in milliseconds (ms)
 - Transitions should overlap segments (offset_ms is when transition starts relative to segment start)
+- Transition types: fade, crossfade, dissolve, fadeblack, wipeleft, wiperight, wipeup, wipedown, slideleft, slideright, slideup, slidedown, or cut
 - Zoom values: 1.0 = no zoom, >1.0 = zoom in
 - Pan coordinates: 0.0-1.0 (0.5 is center)
 - Ensure no gaps between segments (end_ms of one = start_ms of next)`;
@@ -94,7 +97,12 @@ Important:
    */
   buildPrompt(input, cvaResult, cdResult) {
     const segmentsList = cvaResult.structure.segments
-      .map(seg => `  - ${seg.id}: ${seg.asset_id} (${seg.duration}s, order ${seg.order})`)
+      .map(seg => {
+        const asset = input.assets.find(a => a.id === seg.asset_id);
+        const clipLength = asset ? getClipDuration(asset) : undefined;
+        const limit = clipLength !== undefined ? `, video clip max ${clipLength}s` : '';
+        return `  - ${seg.id}: ${seg.asset_id} (${seg.duration}s, order ${seg.order}${limit})`;
+      })
       .join('\n');
 
     const kenBurnsList = cdResult.per_image
@@ -126,17 +134,9 @@ Create a precise timeline with:
 2. Transform data (zoom, pan) based on Ken Burns paths
 3. Transition offsets and durations
 4. No gaps or overlaps (except intentional transition overlaps)
+5. Video clip segments never longer than their max length
 
 Output your technical timeline as JSON following the required structure.`;
   }
-
-  /**
-   * @template T
-   * @param {string} response
-   * @returns {T}
-   */
-  parseJSON(response) {
-    return LLMClient.parseJSON(response);
-  }
 }
 
@@ -4,64 +4,428 @@
 
 import { Router } from 'express';
 import { VideoGenerationOrchestrator } from '../core/orchestrator.js';
+import { createRunStoreFromEnv } from '../core/run-store.js';
+import { assetRootFromEnv, assertSourcesInRoot } from '../core/asset-cache.js';
+import { PLANNERS, resolvePlanner } from '../agents/rules-planner.js';
+import { resolveVariantCount, assertVariantsPlanner } from '../core/plan-ranking.js';
 import { FFmpegExecutor } from '../ffmpeg/executor.js';
+import { createJobQueueFromEnv } from '../jobs/generation-job.js';
+import { serializeJob } from '../jobs/job-queue.js';
 
 const router = Router();
 
+/** @type {import('../jobs/job-queue.js').JobQueue | undefined} */
+let jobQueue;
+
+/**
+ * Job queue shared by the job routes, created on first use so .env is loaded.
+ * Creating it restores jobs persisted before a restart.
+ * @returns {import('../jobs/job-queue.js').JobQueue}
+ */
+export function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = createJobQueueFromEnv();
+  }
+  return jobQueue;
+}
+
+/**
+ * Check the required top-level input fields
+ * @param {any} input
+ * @returns {boolean}
+ */
+function hasRequiredFields(input) {
+  return Boolean(input && input.project_id && input.video_settings && input.assets && input.instructions);
+}
+
+/**
+ * Run ID to resume, from `?resume=<run-id>` or `"resume"` in the body
+ * @param {import('express').Request} req
+ * @returns {string | undefined}
+ */
+function resumeRunId(req) {
+  return req.query.resume || req.body?.resume || undefined;
+}
+
+/**
+ * Planner from `?planner=` or `"planner"` in the body; undefined falls back to PLANNER
+ * @param {import('express').Request} req
+ * @returns {string | undefined}
+ */
+function plannerOf(req) {
+  return req.query.planner || req.body?.planner || undefined;
+}
+
+/**
+ * Send 400 for an unknown planner
+ * @param {import('express').Response} res
+ * @param {string | undefined} planner
+ * @returns {boolean} true when a response was sent
+ */
+function rejectUnknownPlanner(res, planner) {
+  if (planner === undefined || PLANNERS.includes(planner)) {
+    return false;
+  }
+  res.status(400).json({ error: `Unknown planner: ${planner}`, planners: PLANNERS });
+  return true;
+}
+
+/**
+ * Candidate plan count from `?variants=` or `"variants"` in the body
+ * @param {import('express').Request} req
+ * @returns {string | number | undefined}
+ */
+function variantsOf(req) {
+  return req.query.variants || req.body?.variants || undefined;
+}
+
+/**
+ * Send 400 for an invalid variant count, variants with the rules planner (its plans
+ * would all be the same), or variants with a resume or rendering: variants are only
+ * planned, and the chosen one is rendered by resuming its run
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string | number | undefined} variants
+ * @param {string | undefined} planner
+ * @returns {boolean} true when a response was sent
+ */
+function rejectInvalidVariants(req, res, variants, planner) {
+  let count;
+  try {
+    count = resolveVariantCount(variants);
+    assertVariantsPlanner(count, resolvePlanner(planner));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return true;
+  }
+
+  const renders = req.query.execute === 'true' || req.query.dry_run === 'true'
+    || req.body?.execute_ffmpeg === true || req.body?.dry_run === true;
+  if (count > 1 && (renders || resumeRunId(req))) {
+    res.status(400).json({ error: 'Variants are planned only; resume the chosen variant\'s run_id to render it' });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Whether the request allows cached LLM responses.
+ * `Cache-Control: no-cache` (or no-store) or `?cache=false` bypass the cache.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function allowsCache(req) {
+  const cacheControl = req.get('Cache-Control') || '';
+  return !/\bno-(cache|store)\b/i.test(cacheControl)
+    && req.query.cache !== 'false';
+}
+
 /**
  * POST /generate
- * Generate video from input JSON
+ * Generate video from input JSON, or resume a checkpointed run with ?resume=<run-id>.
+ * ?variants=<n> returns n candidate plans, ranked, without rendering.
  */
 router.post('/generate', async (req, res) => {
   try {
     const input = req.body;
+    const resume = resumeRunId(req);
 
-    // Validate input
-    if (!input.project_id || !input.video_settings || !input.assets || !input.instructions) {
+    // Validate input (a resumed run uses its saved input)
+    if (!resume && !hasRequiredFields(input)) {
       return res.status(400).json({
         error: 'Invalid input: missing required fields',
         required: ['project_id', 'video_settings', 'assets', 'instructions'],
       });
     }
 
+    const planner = plannerOf(req);
+    const variants = variantsOf(req);
+    if (rejectUnknownPlanner(res, planner) || rejectInvalidVariants(req, res, variants, planner)) {
+      return;
+    }
+
     // Create orchestrator
-    const orchestrator = new VideoGenerationOrchestrator();
+    const orchestrator = new VideoGenerationOrchestrator(undefined, { cache: allowsCache(req), planner, assetRoot: assetRootFromEnv() });
+
+    // Candidate plans come back ranked; the client renders its pick by resuming that run
+    const count = resolveVariantCount(variants);
+    if (count > 1) {
+      return res.json(await orchestrator.executeVariants(input, { variants: count }));
+    }
 
     // Execute pipeline
-    const result = await orchestrator.execute(input);
+    const result = await orchestrator.execute(input, { resume });
+    await renderIfRequested(req, result);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error in /generate:', error);
+    sendPipelineError(res, error);
+  }
+});
 
-    // Check if FFmpeg execution is requested
-    const executeFfmpeg = req.query.execute === 'true' || req.body.execute_ffmpeg === true;
-    const dryRun = req.query.dry_run === 'true' || req.body.dry_run === true;
+/**
+ * GET /runs/:id
+ * Checkpointed run: status, saved stages and overrides
+ */
+router.get('/runs/:id', (req, res) => {
+  const run = createRunStoreFromEnv().get(req.params.id);
+  if (!run) {
+    return res.status(404).json({ error: 'Run not found' });
+  }
 
-    if (executeFfmpeg || dryRun) {
-      const executor = new FFmpegExecutor({
-        dryRun,
-        verbose: req.query.verbose === 'true',
-        ffmpegPath: process.env.FFMPEG_PATH,
-      });
+  res.json(run);
+});
 
-      const available = await executor.checkFFmpegAvailable();
-      if (!available && !dryRun) {
-        result.json_output.assumptions.push('FFmpeg not available - commands generated but not executed');
-      } else {
-        try {
-          await executor.executeCommands(result.json_output.ffmpeg_commands);
-          result.json_output.assumptions.push('FFmpeg commands executed successfully');
-        } catch (error) {
-          result.json_output.assumptions.push(`FFmpeg execution error: ${error.message}`);
-        }
-      }
+/**
+ * POST /runs/:id/stages/:stage
+ * Re-run one stage of a saved run with { input, output, regenerate } overrides.
+ * Stages that do not depend on it keep their saved results.
+ */
+router.post('/runs/:id/stages/:stage', async (req, res) => {
+  try {
+    const { input, output, regenerate } = req.body || {};
+    const planner = plannerOf(req);
+    if (rejectUnknownPlanner(res, planner)) {
+      return;
     }
 
+    const orchestrator = new VideoGenerationOrchestrator(undefined, { cache: allowsCache(req), planner, assetRoot: assetRootFromEnv() });
+    const result = await orchestrator.rerunStage(req.params.id, req.params.stage, {
+      input,
+      output,
+      regenerate: regenerate !== false,
+    });
+    await renderIfRequested(req, result);
+
     res.json(result);
   } catch (error) {
-    console.error('Error in /generate:', error);
-    res.status(500).json({
-      error: 'Video generation failed',
+    console.error('Error in /runs/:id/stages/:stage:', error);
+    sendPipelineError(res, error);
+  }
+});
+
+/**
+ * Execute (or dry-run) the FFmpeg commands when ?execute=true / ?dry_run=true
+ * or execute_ffmpeg / dry_run in the body ask for it
+ * @param {import('express').Request} req
+ * @param {import('../core/types.js').FinalOutput} result
+ */
+async function renderIfRequested(req, result) {
+  const executeFfmpeg = req.query.execute === 'true' || req.body?.execute_ffmpeg === true;
+  const dryRun = req.query.dry_run === 'true' || req.body?.dry_run === true;
+
+  if (!executeFfmpeg && !dryRun) {
+    return;
+  }
+
+  const executor = new FFmpegExecutor({
+    dryRun,
+    verbose: req.query.verbose === 'true',
+    ffmpegPath: process.env.FFMPEG_PATH,
+  });
+
+  const available = await executor.checkFFmpegAvailable();
+  if (!available && !dryRun) {
+    result.json_output.assumptions.push('FFmpeg not available - commands generated but not executed');
+  } else {
+    try {
+      const captures = await executor.executeCommands(result.json_output.ffmpeg_commands);
+      executor.applyLoudnessReport(result.json_output, captures);
+      result.json_output.assumptions.push('FFmpeg commands executed successfully');
+    } catch (error) {
+      result.json_output.assumptions.push(`FFmpeg execution error: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Map a pipeline error to its HTTP response
+ * @param {import('express').Response} res
+ * @param {Error & {code?: string, run_id?: string, run_stats?: Object}} error
+ */
+function sendPipelineError(res, error) {
+  if (error.code === 'RUN_NOT_FOUND') {
+    return res.status(404).json({
+      error: 'Run not found',
+      message: error.message,
+    });
+  }
+  if (error.code === 'ASSET_OUTSIDE_ROOT') {
+    return res.status(400).json({
+      error: 'Invalid asset path',
+      message: error.message,
+    });
+  }
+  if (error.code === 'INVALID_VARIANTS') {
+    return res.status(400).json({
+      error: 'Invalid variants',
+      message: error.message,
+    });
+  }
+  if (error.code === 'INVALID_RERUN') {
+    return res.status(400).json({
+      error: 'Invalid stage re-run',
+      message: error.message,
+      run_id: error.run_id,
+    });
+  }
+  if (error.code === 'SAFETY_BLOCKED') {
+    return res.status(422).json({
+      error: 'Blocked by safety policy',
       message: error.message,
+      run_id: error.run_id,
+      safety: error.safety,
+    });
+  }
+  if (error.code === 'BUDGET_EXCEEDED') {
+    return res.status(402).json({
+      error: 'LLM budget exceeded',
+      message: error.message,
+      run_id: error.run_id,
+      run_stats: error.run_stats,
+    });
+  }
+  res.status(500).json({
+    error: 'Video generation failed',
+    message: error.message,
+    run_id: error.run_id,
+  });
+}
+
+/**
+ * POST /jobs
+ * Queue a video generation job and return its ID right away. With variants the
+ * job's result is the ranked candidate plans; render one with ?resume=<run_id>&execute=true.
+ */
+router.post('/jobs', (req, res) => {
+  // Accept either { input, execute_ffmpeg, ... } or the bare input with the same flags
+  const body = req.body || {};
+  const input = body.input || body;
+  const { execute_ffmpeg, dry_run, verbose } = body;
+  const resume = resumeRunId(req);
+
+  if (!resume && !hasRequiredFields(input)) {
+    return res.status(400).json({
+      error: 'Invalid input: missing required fields',
+      required: ['project_id', 'video_settings', 'assets', 'instructions'],
+    });
+  }
+
+  const planner = plannerOf(req);
+  const variants = variantsOf(req);
+  if (rejectUnknownPlanner(res, planner) || rejectInvalidVariants(req, res, variants, planner)) {
+    return;
+  }
+
+  // Checked again when the job resolves its assets; this reports the mistake before queueing
+  if (!resume) {
+    try {
+      assertSourcesInRoot(input, assetRootFromEnv());
+    } catch (error) {
+      return sendPipelineError(res, error);
+    }
+  }
+
+  const job = getJobQueue().submit(input, {
+    execute_ffmpeg: execute_ffmpeg === true || req.query.execute === 'true',
+    dry_run: dry_run === true || req.query.dry_run === 'true',
+    verbose: verbose === true || req.query.verbose === 'true',
+    cache: allowsCache(req),
+    planner,
+    resume,
+    variants: resolveVariantCount(variants),
+  });
+
+  res.status(202).json({
+    job_id: job.id,
+    status: job.status,
+    links: { self: `/jobs/${job.id}` },
+  });
+});
+
+/**
+ * GET /jobs/:id
+ * Report job stage, progress, error and result
+ */
+router.get('/jobs/:id', (req, res) => {
+  const job = getJobQueue().get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(serializeJob(job));
+});
+
+/**
+ * GET /jobs/:id/events
+ * Stream pipeline events as Server-Sent Events, replaying what happened so far
+ */
+router.get('/jobs/:id/events', (req, res) => {
+  const queue = getJobQueue();
+  const job = queue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const end = () => {
+    res.write(`event: end\ndata: ${JSON.stringify(serializeJob(job))}\n\n`);
+    res.end();
+  };
+
+  for (const event of job.events || []) {
+    send(event);
+  }
+  if (queue.isFinished(job)) {
+    return end();
+  }
+
+  const onEvent = (jobId, event) => {
+    if (jobId !== job.id) return;
+    send(event);
+    if (event.type === 'job_status' && queue.isFinished(job)) {
+      cleanup();
+      end();
+    }
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    queue.off('event', onEvent);
+  };
+
+  queue.on('event', onEvent);
+  req.on('close', cleanup);
+});
+
+/**
+ * DELETE /jobs/:id
+ * Cancel a queued or running job
+ */
+router.delete('/jobs/:id', (req, res) => {
+  const job = getJobQueue().get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'queued' && job.status !== 'running') {
+    return res.status(409).json({
+      error: `Job already ${job.status}`,
+      job: serializeJob(job),
     });
   }
+
+  res.json(serializeJob(getJobQueue().cancel(job.id)));
 });
 
 /**
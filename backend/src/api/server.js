@@ -4,7 +4,7 @@
 
 import express from 'express';
 import * as dotenv from 'dotenv';
-import routes from './routes.js';
+import routes, { getJobQueue } from './routes.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,7 +19,7 @@ app.use(express.urlencoded({ extended: true }));
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Content-Type');
   
   if (req.method === 'OPTIONS') {
@@ -46,9 +46,13 @@ app.use((err, req, res, next) => {
 // Start server
 // Always start when this file is executed directly (not imported as a module)
 app.listen(PORT, () => {
+  // Restore jobs that were queued or running before a restart
+  getJobQueue();
+
   console.log(`🚀 Video generation API server running on port ${PORT}`);
   console.log(`📡 Health check: http://localhost:${PORT}/api/health`);
   console.log(`🎬 Generate endpoint: POST http://localhost:${PORT}/api/generate`);
+  console.log(`📋 Jobs endpoint: POST http://localhost:${PORT}/api/jobs`);
 });
 
 export default app;
@@ -25,69 +25,96 @@ program
   .command('generate')
   .description('Generate video from JSON input')
   .option('-i, --input <file>', 'Input JSON file (or use stdin)')
+  .option('--resume <run-id>', 'Resume a saved run from its first missing or failed stage')
   .option('-o, --output <file>', 'Output JSON file (default: stdout)')
   .option('--execute-ffmpeg', 'Execute FFmpeg commands automatically', false)
   .option('--dry-run', 'Generate commands without executing', false)
   .option('--verbose', 'Verbose output', false)
+  .option('--no-cache', 'Call the LLMs even when a cached response exists')
+  .option('--safety-policy <policy>', 'warn, block or auto-remediate when SCO flags an issue (default: SAFETY_POLICY or warn)')
+  .option('--planner <planner>', 'llm, or rules to plan deterministically without an LLM (default: PLANNER or llm)')
+  .option('--concurrency <n>', 'Stages run at once when their inputs are ready (default: PIPELINE_CONCURRENCY or 2)', value => parseInt(value, 10))
+  .option('--variants <n>', 'Plan this many candidates (up to 5, llm planner only) and print them ranked; nothing is rendered', value => parseInt(value, 10))
+  .option('--max-tokens <n>', 'Abort once the LLM calls use more tokens (default: LLM_TOKEN_BUDGET)', value => parseInt(value, 10))
+  .option('--max-cost <usd>', 'Abort once the estimated LLM cost is higher (default: LLM_COST_BUDGET_USD)', parseFloat)
   .action(async (options) => {
     try {
-      // Read input
-      let inputData;
+      // Read input (a resumed run uses its saved input)
+      let input;
       if (options.input) {
-        inputData = fs.readFileSync(options.input, 'utf-8');
-      } else {
+        input = JSON.parse(fs.readFileSync(options.input, 'utf-8'));
+      } else if (!options.resume) {
         // Read from stdin
-        inputData = await readStdin();
+        input = JSON.parse(await readStdin());
       }
 
-      const input = JSON.parse(inputData);
+      // Create orchestrator (relative asset paths are resolved next to the input file)
+      const orchestrator = new VideoGenerationOrchestrator(undefined, {
+        assetBaseDir: options.input ? path.dirname(path.resolve(options.input)) : undefined,
+        cache: options.cache,
+        safetyPolicy: options.safetyPolicy,
+        planner: options.planner,
+        concurrency: options.concurrency,
+        budget: budgetFromOptions(options),
+      });
 
-      // Create orchestrator
-      const orchestrator = new VideoGenerationOrchestrator();
+      if (options.variants > 1) {
+        if (options.resume || options.executeFfmpeg || options.dryRun) {
+          throw new Error('--variants only plans; resume the chosen variant\'s run to render it');
+        }
+        console.log(`Planning ${options.variants} candidate videos...\n`);
+        const ranked = await orchestrator.executeVariants(input, { variants: options.variants });
+        printRanking(ranked, options);
+        return;
+      }
 
       // Execute pipeline
       console.log('Starting video generation pipeline...\n');
-      const result = await orchestrator.execute(input);
-
-      // Update FFmpeg commands in output if needed
-      if (options.executeFfmpeg || options.dryRun) {
-        const executor = new FFmpegExecutor({
-          dryRun: options.dryRun,
-          verbose: options.verbose,
-          ffmpegPath: process.env.FFMPEG_PATH,
-        });
-
-        const available = await executor.checkFFmpegAvailable();
-        if (!available && !options.dryRun) {
-          console.warn('⚠️  FFmpeg not found. Commands generated but not executed.');
-        } else {
-          console.log('\n📹 Executing FFmpeg commands...\n');
-          await executor.executeCommands(result.json_output.ffmpeg_commands);
-        }
-      }
+      const result = await orchestrator.execute(input, { resume: options.resume });
 
-      // Output result
-      const outputJson = JSON.stringify(result, null, 2);
-      
-      if (options.output) {
-        fs.writeFileSync(options.output, outputJson, 'utf-8');
-        console.log(`\n✅ Output written to ${options.output}`);
-      } else {
-        console.log('\n📄 Output:\n');
-        console.log(outputJson);
-      }
+      await finishRun(result, options);
+    } catch (error) {
+      reportError(error, options);
+    }
+  });
 
-      // Print summary
-      console.log(`\n📊 Summary: ${result.human_summary}`);
-      if (result.json_output.safety_issue) {
-        console.log(`\n⚠️  Safety Issue: ${result.json_output.safety_reason}`);
-      }
+program
+  .command('rerun')
+  .description('Re-run one stage of a saved run; stages that do not depend on it keep their results')
+  .argument('<run-id>', 'Saved run (see json_output.run_id)')
+  .argument('<stage>', 'Stage to re-run: CVA, CD, VE, AE, SCO or OC')
+  .option('--input-override <json>', 'JSON (or a JSON file) merged into the project input for this stage')
+  .option('--output-override <json>', 'JSON (or a JSON file) merged into the stage result')
+  .option('--patch', 'Apply --output-override to the saved result without calling the agent', false)
+  .option('-o, --output <file>', 'Output JSON file (default: stdout)')
+  .option('--execute-ffmpeg', 'Execute FFmpeg commands automatically', false)
+  .option('--dry-run', 'Generate commands without executing', false)
+  .option('--verbose', 'Verbose output', false)
+  .option('--no-cache', 'Call the LLMs even when a cached response exists')
+  .option('--safety-policy <policy>', 'warn, block or auto-remediate when SCO flags an issue (default: SAFETY_POLICY or warn)')
+  .option('--planner <planner>', 'llm, or rules to plan deterministically without an LLM (default: PLANNER or llm)')
+  .option('--concurrency <n>', 'Stages run at once when their inputs are ready (default: PIPELINE_CONCURRENCY or 2)', value => parseInt(value, 10))
+  .option('--max-tokens <n>', 'Abort once the LLM calls use more tokens (default: LLM_TOKEN_BUDGET)', value => parseInt(value, 10))
+  .option('--max-cost <usd>', 'Abort once the estimated LLM cost is higher (default: LLM_COST_BUDGET_USD)', parseFloat)
+  .action(async (runId, stage, options) => {
+    try {
+      const orchestrator = new VideoGenerationOrchestrator(undefined, {
+        cache: options.cache,
+        safetyPolicy: options.safetyPolicy,
+        planner: options.planner,
+        concurrency: options.concurrency,
+        budget: budgetFromOptions(options),
+      });
+
+      const result = await orchestrator.rerunStage(runId, stage, {
+        input: readJSONArgument(options.inputOverride),
+        output: readJSONArgument(options.outputOverride),
+        regenerate: !options.patch,
+      });
+
+      await finishRun(result, options);
     } catch (error) {
-      console.error('❌ Error:', error.message);
-      if (options.verbose) {
-        console.error(error.stack);
-      }
-      process.exit(1);
+      reportError(error, options);
     }
   });
 
@@ -121,6 +148,123 @@ program
     }
   });
 
+/**
+ * Budget from --max-tokens / --max-cost (unset values fall back to env)
+ * @param {{maxTokens?: number, maxCost?: number}} options
+ * @returns {import('../core/run-stats.js').RunBudget}
+ */
+function budgetFromOptions(options) {
+  return {
+    ...(options.maxTokens !== undefined && { maxTokens: options.maxTokens }),
+    ...(options.maxCost !== undefined && { maxCostUsd: options.maxCost }),
+  };
+}
+
+/**
+ * Parse an inline JSON argument, or read it from the file it names
+ * @param {string | undefined} value
+ * @returns {Object | undefined}
+ */
+function readJSONArgument(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return JSON.parse(fs.existsSync(value) ? fs.readFileSync(value, 'utf-8') : value);
+}
+
+/**
+ * Run FFmpeg if requested, then write the output and print the summary
+ * @param {import('../core/types.js').FinalOutput} result
+ * @param {{executeFfmpeg?: boolean, dryRun?: boolean, verbose?: boolean, output?: string}} options
+ */
+async function finishRun(result, options) {
+  // Update FFmpeg commands in output if needed
+  if (options.executeFfmpeg || options.dryRun) {
+    const executor = new FFmpegExecutor({
+      dryRun: options.dryRun,
+      verbose: options.verbose,
+      ffmpegPath: process.env.FFMPEG_PATH,
+    });
+
+    const available = await executor.checkFFmpegAvailable();
+    if (!available && !options.dryRun) {
+      console.warn('⚠️  FFmpeg not found. Commands generated but not executed.');
+    } else {
+      console.log('\n📹 Executing FFmpeg commands...\n');
+      const captures = await executor.executeCommands(result.json_output.ffmpeg_commands);
+      executor.applyLoudnessReport(result.json_output, captures);
+    }
+  }
+
+  // Output result
+  const outputJson = JSON.stringify(result, null, 2);
+  
+  if (options.output) {
+    fs.writeFileSync(options.output, outputJson, 'utf-8');
+    console.log(`\n✅ Output written to ${options.output}`);
+  } else {
+    console.log('\n📄 Output:\n');
+    console.log(outputJson);
+  }
+
+  // Print summary
+  console.log(`\n📊 Summary: ${result.human_summary}`);
+  const totals = result.json_output.run_stats?.totals;
+  if (totals) {
+    console.log(`💰 LLM usage: ${totals.total_tokens} tokens in ${totals.calls} calls, ~$${totals.cost_usd.toFixed(4)}`);
+  }
+  if (result.json_output.safety_issue) {
+    console.log(`\n⚠️  Safety Issue: ${result.json_output.safety_reason}`);
+  }
+  if (result.json_output.safety_remediation) {
+    console.log(`\n🛡️  Auto-remediated: changed ${result.json_output.safety_remediation.changes.map(change => change.instruction).join(', ')}`);
+  }
+}
+
+/**
+ * Write the ranked candidate plans and print how to render one
+ * @param {import('../core/plan-ranking.js').RankedPlans} ranked
+ * @param {{output?: string}} options
+ */
+function printRanking(ranked, options) {
+  const outputJson = JSON.stringify(ranked, null, 2);
+  if (options.output) {
+    fs.writeFileSync(options.output, outputJson, 'utf-8');
+    console.log(`\n✅ Ranked plans written to ${options.output}`);
+  } else {
+    console.log('\n📄 Ranked plans:\n');
+    console.log(outputJson);
+  }
+
+  console.log('\n🏆 Ranking:');
+  for (const plan of ranked.variants) {
+    const judge = plan.score.judge !== undefined ? `, judge ${plan.score.judge}/10` : '';
+    console.log(`  ${plan.rank}. Variant ${plan.variant}${plan.style_seed ? ` (${plan.style_seed})` : ''}: `
+      + `score ${plan.score.total} (duration ${plan.score.duration}, coverage ${plan.score.coverage}, safety ${plan.score.safety}${judge})`);
+    console.log(`     run ${plan.run_id} - ${plan.human_summary}`);
+  }
+  for (const failure of ranked.failed) {
+    console.log(`  ✗ Variant ${failure.variant} failed: ${failure.error}`);
+  }
+  console.log(`\nRender one with: videoggtool generate --resume <run-id> --execute-ffmpeg`);
+}
+
+/**
+ * Print a failed run (with how to resume it) and exit
+ * @param {Error & {run_id?: string}} error
+ * @param {{verbose?: boolean}} options
+ */
+function reportError(error, options) {
+  console.error('❌ Error:', error.message);
+  if (error.run_id && error.code !== 'SAFETY_BLOCKED') {
+    console.error(`   Resume with: videoggtool generate --resume ${error.run_id}`);
+  }
+  if (options.verbose) {
+    console.error(error.stack);
+  }
+  process.exit(1);
+}
+
 // Helper function to read from stdin
 function readStdin() {
   return new Promise((resolve, reject) => {
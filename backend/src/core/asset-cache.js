@@ -0,0 +1,357 @@
+/**
+ * Local asset resolution and content-addressed download cache
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+import { once } from 'events';
+import { finished } from 'stream/promises';
+import { fileURLToPath } from 'url';
+
+const MB = 1024 * 1024;
+
+/**
+ * @typedef {Object} AssetCacheOptions
+ * @property {string} [dir] - cache directory
+ * @property {number} [maxFileBytes] - largest single download allowed
+ * @property {number} [maxTotalBytes] - cache size before least recently used entries are evicted
+ * @property {number} [downloadTimeoutMs] - longest a single download may take, body included (default 120000)
+ * @property {string} [baseDir] - directory relative asset paths are resolved against (default: root, then the working directory)
+ * @property {string} [root] - when set, local asset paths must resolve inside this directory
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} sha256
+ * @property {string} file
+ * @property {number} size
+ * @property {string} last_used
+ */
+
+/**
+ * Check whether a string is a remote URL the cache downloads
+ * @param {string} src
+ * @returns {boolean}
+ */
+export function isRemoteSource(src) {
+  return /^https?:\/\//i.test(src);
+}
+
+/**
+ * Check whether an asset source is usable: http(s) or file URL, or a local path
+ * @param {string} src
+ * @returns {boolean}
+ */
+export function isValidSource(src) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(src)) {
+    return /^(https?|file):\/\//i.test(src);
+  }
+  return src.trim().length > 0;
+}
+
+/**
+ * Root directory for local assets named in API requests, from ASSET_ROOT
+ * @returns {string}
+ */
+export function assetRootFromEnv() {
+  return path.resolve(process.env.ASSET_ROOT || './assets');
+}
+
+/**
+ * Check that every local asset (and voiceover file) source, and any local_path
+ * the caller supplied, resolves inside root. Remote sources are not checked.
+ * @param {import('./types.js').VideoGenerationInput} input
+ * @param {string} root
+ * @param {string} [baseDir] - directory relative paths are resolved against (default: root)
+ * @throws {Error} with code 'ASSET_OUTSIDE_ROOT'
+ */
+export function assertSourcesInRoot(input, root, baseDir = root) {
+  const voiceover = input.instructions?.voiceover;
+  const items = [
+    ...(input.assets || []).map(asset => ({ item: asset, label: `asset ${asset.id}` })),
+    ...(voiceover?.type === 'file' ? [{ item: voiceover, label: 'voiceover file' }] : []),
+  ];
+
+  for (const { item, label } of items) {
+    const paths = [item.src, item.local_path].filter(value => value && !isRemoteSource(value));
+    const outside = paths.find(value => !isInsideRoot(localFile(value, baseDir), root));
+    if (outside) {
+      const error = new Error(`${label} ${outside} is outside the asset root ${root}`);
+      error.code = 'ASSET_OUTSIDE_ROOT';
+      throw error;
+    }
+  }
+}
+
+/**
+ * @param {string} src - local path or file:// URL
+ * @param {string} baseDir
+ * @returns {string}
+ */
+function localFile(src, baseDir) {
+  return /^file:\/\//i.test(src) ? fileURLToPath(src) : path.resolve(baseDir, src);
+}
+
+/**
+ * @param {string} file - absolute path
+ * @param {string} root
+ * @returns {boolean}
+ */
+function isInsideRoot(file, root) {
+  const relative = path.relative(path.resolve(root), file);
+  return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+export class AssetCache {
+  /**
+   * @param {AssetCacheOptions} [options]
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || './.asset-cache');
+    this.maxFileBytes = options.maxFileBytes || 500 * MB;
+    this.maxTotalBytes = options.maxTotalBytes || 5000 * MB;
+    this.downloadTimeoutMs = options.downloadTimeoutMs || 120000;
+    this.root = options.root && path.resolve(options.root);
+    this.baseDir = options.baseDir || this.root || process.cwd();
+    this.indexFile = path.join(this.dir, 'index.json');
+  }
+
+  /**
+   * Resolve every asset (and a voiceover file) to a local path.
+   * Remote assets are downloaded into the cache; failures leave the remote source in place.
+   * @param {import('./types.js').VideoGenerationInput} input
+   * @returns {Promise<{input: import('./types.js').VideoGenerationInput, warnings: string[]}>}
+   * @throws {Error} with code 'ASSET_OUTSIDE_ROOT' when a root is set and a local path leaves it
+   */
+  async resolveInput(input) {
+    if (this.root) {
+      assertSourcesInRoot(input, this.root, this.baseDir);
+    }
+    const warnings = [];
+
+    const resolveOne = async (item, label) => {
+      try {
+        return { ...item, local_path: await this.resolve(item.src, item.sha256) };
+      } catch (error) {
+        if (error.code === 'ASSET_OUTSIDE_ROOT') {
+          throw error;
+        }
+        // Not an error: an unresolved source is still probed and rendered as given
+        warnings.push(`Could not resolve ${label}: ${error.message}`);
+        return item;
+      }
+    };
+
+    const assets = [];
+    for (const asset of input.assets) {
+      assets.push(await resolveOne(asset, `asset ${asset.id}`));
+    }
+
+    let instructions = input.instructions;
+    const voiceover = instructions.voiceover;
+    if (voiceover?.type === 'file' && voiceover.src) {
+      instructions = { ...instructions, voiceover: await resolveOne(voiceover, 'voiceover file') };
+    }
+
+    return { input: { ...input, assets, instructions }, warnings };
+  }
+
+  /**
+   * Resolve a source to a local file path
+   * @param {string} src
+   * @param {string} [sha256] - expected checksum
+   * @returns {Promise<string>}
+   */
+  async resolve(src, sha256) {
+    if (isRemoteSource(src)) {
+      return this.fetch(src, sha256);
+    }
+
+    const file = localFile(src, this.baseDir);
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`File not found: ${file}`);
+    }
+    // A symlink inside the root may still point out of it
+    if (this.root && !isInsideRoot(fs.realpathSync(file), fs.realpathSync(this.root))) {
+      const error = new Error(`${src} links outside the asset root ${this.root}`);
+      error.code = 'ASSET_OUTSIDE_ROOT';
+      throw error;
+    }
+    if (sha256 && (await this.hashFile(file)) !== sha256.toLowerCase()) {
+      throw new Error(`Checksum mismatch for ${file}`);
+    }
+
+    return file;
+  }
+
+  /**
+   * Return the cached copy of a URL, downloading it on a miss
+   * @param {string} url
+   * @param {string} [sha256] - expected checksum
+   * @returns {Promise<string>}
+   */
+  async fetch(url, sha256) {
+    const index = this.readIndex();
+    const cached = index[url];
+
+    if (cached && fs.existsSync(cached.file)) {
+      const expected = (sha256 || cached.sha256).toLowerCase();
+      if ((await this.hashFile(cached.file)) === expected) {
+        cached.last_used = new Date().toISOString();
+        this.writeIndex(index);
+        return cached.file;
+      }
+      console.warn(`⚠️  Cached copy of ${url} failed checksum verification, downloading again`);
+    }
+
+    const entry = await this.download(url, sha256);
+    index[url] = entry;
+    this.evict(index, entry.file);
+    this.writeIndex(index);
+
+    return entry.file;
+  }
+
+  /**
+   * Download a URL into the cache, enforcing the size limit and checksum
+   * @param {string} url
+   * @param {string} [sha256]
+   * @returns {Promise<CacheEntry>}
+   */
+  async download(url, sha256) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    // The signal also covers reading the body, so a host that stalls mid-download fails too
+    const response = await fetch(url, { signal: AbortSignal.timeout(this.downloadTimeoutMs) });
+    if (!response.ok || !response.body) {
+      throw new Error(`Download failed for ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    const declared = Number(response.headers.get('content-length'));
+    if (declared > this.maxFileBytes) {
+      throw new Error(`${url} is ${declared} bytes, over the ${this.maxFileBytes} byte limit`);
+    }
+
+    const tmpFile = path.join(this.dir, `.download-${process.pid}-${crypto.randomUUID()}`);
+    const out = fs.createWriteStream(tmpFile);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    try {
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > this.maxFileBytes) {
+          throw new Error(`${url} exceeds the ${this.maxFileBytes} byte limit`);
+        }
+        hash.update(chunk);
+        if (!out.write(chunk)) {
+          await once(out, 'drain');
+        }
+      }
+      out.end();
+      await finished(out);
+    } catch (error) {
+      out.destroy();
+      fs.rmSync(tmpFile, { force: true });
+      throw error;
+    }
+
+    const digest = hash.digest('hex');
+    if (sha256 && digest !== sha256.toLowerCase()) {
+      fs.rmSync(tmpFile, { force: true });
+      throw new Error(`Checksum mismatch for ${url}: expected ${sha256}, got ${digest}`);
+    }
+
+    // Same content under a different URL is stored once
+    const ext = path.extname(new URL(url).pathname).slice(0, 10);
+    const file = path.join(this.dir, `${digest}${ext}`);
+    if (fs.existsSync(file)) {
+      fs.rmSync(tmpFile, { force: true });
+    } else {
+      fs.renameSync(tmpFile, file);
+    }
+
+    return { sha256: digest, file, size, last_used: new Date().toISOString() };
+  }
+
+  /**
+   * Remove least recently used entries until the cache fits maxTotalBytes
+   * @param {Record<string, CacheEntry>} index
+   * @param {string} keepFile - file that must survive (the one just requested)
+   */
+  evict(index, keepFile) {
+    const files = new Map();
+    for (const entry of Object.values(index)) {
+      const lastUsed = files.get(entry.file)?.last_used;
+      if (!lastUsed || entry.last_used > lastUsed) {
+        files.set(entry.file, entry);
+      }
+    }
+
+    let total = [...files.values()].reduce((sum, entry) => sum + entry.size, 0);
+    const oldest = [...files.values()].sort((a, b) => a.last_used.localeCompare(b.last_used));
+
+    for (const entry of oldest) {
+      if (total <= this.maxTotalBytes) break;
+      if (entry.file === keepFile) continue;
+
+      fs.rmSync(entry.file, { force: true });
+      total -= entry.size;
+      for (const [url, other] of Object.entries(index)) {
+        if (other.file === entry.file) {
+          delete index[url];
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {string} file
+   * @returns {Promise<string>}
+   */
+  async hashFile(file) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(file)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * @returns {Record<string, CacheEntry>}
+   */
+  readIndex() {
+    try {
+      return JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * @param {Record<string, CacheEntry>} index
+   */
+  writeIndex(index) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.indexFile, JSON.stringify(index, null, 2));
+  }
+}
+
+/**
+ * Create an asset cache from environment variables
+ * @param {string} [baseDir]
+ * @param {string} [root] - restrict local assets to this directory
+ * @returns {AssetCache}
+ */
+export function createAssetCacheFromEnv(baseDir, root) {
+  return new AssetCache({
+    dir: process.env.ASSET_CACHE_DIR,
+    maxFileBytes: process.env.ASSET_CACHE_MAX_FILE_MB ? parseFloat(process.env.ASSET_CACHE_MAX_FILE_MB) * MB : undefined,
+    maxTotalBytes: process.env.ASSET_CACHE_MAX_MB ? parseFloat(process.env.ASSET_CACHE_MAX_MB) * MB : undefined,
+    downloadTimeoutMs: process.env.ASSET_DOWNLOAD_TIMEOUT_MS ? parseInt(process.env.ASSET_DOWNLOAD_TIMEOUT_MS, 10) : undefined,
+    baseDir,
+    root,
+  });
+}
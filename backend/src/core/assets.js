@@ -0,0 +1,88 @@
+/**
+ * Asset helpers shared by agents and the FFmpeg command builder
+ */
+
+/**
+ * Usable timeline length of a video clip in seconds:
+ * the trimmed source range divided by the playback speed
+ * @param {import('./types.js').Asset} asset
+ * @returns {number | undefined} undefined when the source length is unknown
+ */
+export function getClipDuration(asset) {
+  if (asset.type !== 'video') {
+    return undefined;
+  }
+
+  const start = asset.trim_start || 0;
+  const end = asset.trim_end ?? asset.duration;
+  if (end === undefined) {
+    return undefined;
+  }
+
+  return Number((Math.max(0, end - start) / (asset.speed || 1)).toFixed(3));
+}
+
+/**
+ * Check whether a video clip contributes its own audio to the render.
+ * Only ffprobe metadata confirms an audio stream; without it the clip counts as
+ * silent, because mapping a stream that does not exist fails the render.
+ * @param {import('./types.js').Asset} asset
+ * @returns {boolean}
+ */
+export function clipHasAudio(asset) {
+  return asset.type === 'video' && !asset.mute && asset.metadata?.audio_channels > 0;
+}
+
+/**
+ * One-line asset description for agent prompts
+ * @param {import('./types.js').Asset} asset
+ * @returns {string}
+ */
+export function describeAsset(asset) {
+  const line = `${asset.id} (${asset.type}): ${asset.src}`;
+  const details = describeMetadata(asset.metadata);
+  if (asset.license) {
+    details.push(`license ${typeof asset.license === 'string' ? asset.license : asset.license.name}`);
+  }
+  if (asset.type !== 'video') {
+    return details.length > 0 ? `${line} [${details.join(', ')}]` : line;
+  }
+
+  const length = getClipDuration(asset);
+  details.push(length !== undefined ? `usable length ${length}s` : 'length unknown');
+  if (asset.trim_start !== undefined || asset.trim_end !== undefined) {
+    details.push(`trimmed ${asset.trim_start || 0}s-${asset.trim_end !== undefined ? `${asset.trim_end}s` : 'end'}`);
+  }
+  if (asset.speed && asset.speed !== 1) {
+    details.push(`speed ${asset.speed}x`);
+  }
+  details.push(clipHasAudio(asset)
+    ? 'own audio mixed in'
+    : asset.mute ? 'audio muted' : asset.metadata ? 'no audio' : 'audio unknown, not mixed in');
+
+  return `${line} [${details.join(', ')}]`;
+}
+
+/**
+ * Probed metadata as prompt-friendly fragments
+ * @param {import('./types.js').AssetMetadata} [metadata]
+ * @returns {string[]}
+ */
+function describeMetadata(metadata) {
+  if (!metadata) {
+    return [];
+  }
+
+  const details = [];
+  if (metadata.width && metadata.height) {
+    details.push(`${metadata.width}x${metadata.height} ${metadata.orientation}`);
+  }
+  if (metadata.duration !== undefined) {
+    details.push(`duration ${metadata.duration}s`);
+  }
+  if (metadata.audio_channels > 0) {
+    details.push(`${metadata.audio_channels === 1 ? 'mono' : `${metadata.audio_channels}ch`} audio${metadata.sample_rate ? ` ${metadata.sample_rate}Hz` : ''}`);
+  }
+
+  return details;
+}
@@ -0,0 +1,82 @@
+/**
+ * Convert Zod schemas to JSON Schema for provider structured-output modes
+ */
+
+/**
+ * Convert the subset of Zod used by the agent schemas to a JSON Schema object.
+ * Refinements are dropped; they are still enforced when the result is validated.
+ * @param {import('zod').ZodTypeAny} schema
+ * @returns {Object}
+ */
+export function zodToJsonSchema(schema) {
+  const def = schema._def;
+
+  switch (def.typeName) {
+    case 'ZodObject': {
+      const shape = def.shape();
+      const properties = {};
+      const required = [];
+      for (const [key, field] of Object.entries(shape)) {
+        properties[key] = zodToJsonSchema(field);
+        if (!field.isOptional()) {
+          required.push(key);
+        }
+      }
+      return { type: 'object', properties, required, additionalProperties: false };
+    }
+    case 'ZodArray': {
+      const json = { type: 'array', items: zodToJsonSchema(def.type) };
+      if (def.minLength) {
+        json.minItems = def.minLength.value;
+      }
+      return json;
+    }
+    case 'ZodString':
+      return { type: 'string' };
+    case 'ZodNumber':
+      return numberSchema(def.checks);
+    case 'ZodBoolean':
+      return { type: 'boolean' };
+    case 'ZodEnum':
+      return { type: 'string', enum: [...def.values] };
+    case 'ZodLiteral':
+      return { const: def.value };
+    case 'ZodNull':
+      return { type: 'null' };
+    case 'ZodNullable':
+      return { anyOf: [zodToJsonSchema(def.innerType), { type: 'null' }] };
+    case 'ZodOptional':
+      return zodToJsonSchema(def.innerType);
+    case 'ZodDefault':
+      return { ...zodToJsonSchema(def.innerType), default: def.defaultValue() };
+    case 'ZodEffects':
+      return zodToJsonSchema(def.schema);
+    case 'ZodUnion':
+      return { anyOf: def.options.map(zodToJsonSchema) };
+    case 'ZodRecord':
+      return { type: 'object', additionalProperties: zodToJsonSchema(def.valueType) };
+    default:
+      // ZodAny, ZodUnknown and anything unsupported accept any value
+      return {};
+  }
+}
+
+/**
+ * @param {Array<{kind: string, value?: number, inclusive?: boolean}>} checks
+ * @returns {Object}
+ */
+function numberSchema(checks) {
+  const json = { type: 'number' };
+
+  for (const check of checks) {
+    if (check.kind === 'int') {
+      json.type = 'integer';
+    } else if (check.kind === 'min') {
+      json[check.inclusive ? 'minimum' : 'exclusiveMinimum'] = check.value;
+    } else if (check.kind === 'max') {
+      json[check.inclusive ? 'maximum' : 'exclusiveMaximum'] = check.value;
+    }
+  }
+
+  return json;
+}
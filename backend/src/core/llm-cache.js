@@ -0,0 +1,152 @@
+/**
+ * Disk-backed LLM response cache
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+
+const MB = 1024 * 1024;
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} LLMCacheOptions
+ * @property {string} [dir] - cache directory
+ * @property {number} [ttlMs] - entries older than this are ignored and removed
+ * @property {number} [maxTotalBytes] - cache size before least recently used entries are evicted
+ */
+
+/**
+ * @typedef {Object} LLMCacheKey
+ * @property {string} provider
+ * @property {string} model
+ * @property {number} temperature
+ * @property {string | undefined} systemPrompt
+ * @property {string} prompt
+ * @property {Object} [jsonSchema] - structured output schema, when requested
+ */
+
+/**
+ * One JSON file per response, named by the hash of everything that shapes it
+ */
+export class LLMResponseCache {
+  /**
+   * @param {LLMCacheOptions} [options]
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || './.llm-cache');
+    this.ttlMs = options.ttlMs || 7 * 24 * HOUR;
+    this.maxTotalBytes = options.maxTotalBytes || 100 * MB;
+  }
+
+  /**
+   * @param {LLMCacheKey} key
+   * @returns {string}
+   */
+  hash(key) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([
+        key.provider,
+        key.model,
+        key.temperature,
+        key.systemPrompt || '',
+        key.prompt,
+        key.jsonSchema ?? null,
+      ]))
+      .digest('hex');
+  }
+
+  /**
+   * @param {string} hash
+   * @returns {string}
+   */
+  fileFor(hash) {
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Look up a fresh response
+   * @param {string} hash
+   * @returns {import('./llm-client.js').LLMResponse | undefined}
+   */
+  get(hash) {
+    const file = this.fileFor(hash);
+
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch {
+      return undefined;
+    }
+
+    if (Date.now() - Date.parse(entry.created_at) > this.ttlMs) {
+      fs.rmSync(file, { force: true });
+      return undefined;
+    }
+
+    // Modification time tracks last use for eviction
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return { content: entry.content, usage: entry.usage };
+  }
+
+  /**
+   * @param {string} hash
+   * @param {import('./llm-client.js').LLMResponse} response
+   */
+  set(hash, response) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.fileFor(hash), JSON.stringify({
+      created_at: new Date().toISOString(),
+      content: response.content,
+      usage: response.usage,
+    }));
+    this.evict();
+  }
+
+  /**
+   * Drop an entry, e.g. a response that failed validation
+   * @param {string} hash
+   */
+  delete(hash) {
+    fs.rmSync(this.fileFor(hash), { force: true });
+  }
+
+  /**
+   * Remove expired entries, then least recently used ones until the cache fits maxTotalBytes
+   */
+  evict() {
+    const entries = fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const stat = fs.statSync(path.join(this.dir, file));
+        return { file: path.join(this.dir, file), size: stat.size, used: stat.mtimeMs };
+      })
+      .sort((a, b) => a.used - b.used);
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+      if (total <= this.maxTotalBytes && Date.now() - entry.used <= this.ttlMs) continue;
+
+      fs.rmSync(entry.file, { force: true });
+      total -= entry.size;
+    }
+  }
+}
+
+/**
+ * Create the response cache when LLM_CACHE=true or LLM_CACHE_DIR is set (LLM_CACHE=false wins)
+ * @returns {LLMResponseCache | undefined}
+ */
+export function createLLMCacheFromEnv() {
+  const flag = process.env.LLM_CACHE;
+  if (flag === 'false' || (flag !== 'true' && !process.env.LLM_CACHE_DIR)) {
+    return undefined;
+  }
+
+  return new LLMResponseCache({
+    dir: process.env.LLM_CACHE_DIR,
+    ttlMs: process.env.LLM_CACHE_TTL_HOURS ? parseFloat(process.env.LLM_CACHE_TTL_HOURS) * HOUR : undefined,
+    maxTotalBytes: process.env.LLM_CACHE_MAX_MB ? parseFloat(process.env.LLM_CACHE_MAX_MB) * MB : undefined,
+  });
+}
@@ -2,8 +2,29 @@
  * Configurable LLM client abstraction for multiple providers
  */
 
+import { EventEmitter } from 'events';
 import OpenAI from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
+import { zodToJsonSchema } from './json-schema.js';
+import { LLMFixtureStore } from './llm-fixtures.js';
+import { FallbackLLMClient } from './llm-fallback.js';
+import { createLLMCacheFromEnv } from './llm-cache.js';
+import { backoffDelay, getRetryAfterMs, isRetryableError, MAX_RETRY_AFTER_MS, sleep } from './retry.js';
+
+// Model used when the config does not name one
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  anthropic: 'claude-3-5-sonnet-20241022',
+  ollama: 'llama3.2',
+  replay: 'recorded',
+};
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_RETRY_BASE_MS = 1000;
+
+// Name of the schema / tool the structured output is requested under
+const RESULT_NAME = 'submit_result';
 
 /**
  * @typedef {Object} LLMResponse
@@ -12,62 +33,277 @@ import Anthropic from '@anthropic-ai/sdk';
  * @property {number} [usage.prompt_tokens]
  * @property {number} [usage.completion_tokens]
  * @property {number} [usage.total_tokens]
+ * @property {boolean} [cached] - served from the response cache
+ * @property {string} [cacheKey] - response cache entry, when caching is on
+ *
+ * @typedef {Object} JSONSchemaRequest
+ * @property {string} name
+ * @property {Object} schema - JSON Schema the response must follow
+ *
+ * @typedef {Object} RequestOptions
+ * @property {string} [agent] - agent making the call; keys recorded fixtures
+ * @property {JSONSchemaRequest} [jsonSchema] - request structured output
+ */
+
+/**
+ * @template T
+ * @typedef {LLMResponse & {data: T}} LLMJSONResponse
  */
 
-export class LLMClient {
+/**
+ * Emits 'usage' after every completed request, 'backoff' before retrying a
+ * transient provider failure and 'retry' when a caller asks the model to
+ * repair its output.
+ */
+export class LLMClient extends EventEmitter {
   /**
    * @param {import('./types.js').LLMConfig} config
    */
   constructor(config) {
+    super();
     this.config = config;
-    
+    this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.timeoutMs = config.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.retryBaseMs = config.retryBaseMs ?? DEFAULT_RETRY_BASE_MS;
+
+    // Retries are handled by request(), not by the SDKs
     if (config.provider === 'openai') {
       this.openaiClient = new OpenAI({
         apiKey: config.apiKey,
+        maxRetries: 0,
+        timeout: this.timeoutMs,
+      });
+    } else if (config.provider === 'openai-compatible') {
+      // Any server speaking the OpenAI chat API (vLLM, llama.cpp, LM Studio, …)
+      this.openaiClient = new OpenAI({
+        baseURL: config.baseUrl,
+        apiKey: config.apiKey || 'not-needed',
+        defaultHeaders: this.buildCompatibleHeaders(config),
+        maxRetries: 0,
+        timeout: this.timeoutMs,
       });
     } else if (config.provider === 'anthropic') {
       this.anthropicClient = new Anthropic({
         apiKey: config.apiKey,
+        maxRetries: 0,
+        timeout: this.timeoutMs,
       });
     } else if (config.provider === 'ollama') {
       // Ollama runs locally, no API key needed
       this.ollamaBaseUrl = config.baseUrl || 'http://localhost:11434';
+    } else if (config.provider === 'replay') {
+      // Serves recorded responses, no model involved
+      this.fixtures = new LLMFixtureStore(config.fixturesDir);
     }
+
+    if (config.recordDir && config.provider !== 'replay') {
+      this.recorder = new LLMFixtureStore(config.recordDir);
+    }
+
+    /** @type {import('./llm-cache.js').LLMResponseCache | undefined} */
+    this.cache = config.provider !== 'replay' ? config.cache : undefined;
   }
 
   /**
    * @param {string} prompt
    * @param {string} [systemPrompt]
+   * @param {RequestOptions} [options]
    * @returns {Promise<LLMResponse>}
    */
-  async generate(prompt, systemPrompt) {
+  async generate(prompt, systemPrompt, options = {}) {
+    return this.request(prompt, systemPrompt, options);
+  }
+
+  /**
+   * Generate a JSON object that matches a Zod schema using the provider's
+   * native structured output. The heuristic parser is only used when the
+   * returned content is not plain JSON.
+   * Parse and validation failures throw an error whose `content` holds the raw output.
+   * @template T
+   * @param {string} prompt
+   * @param {string | undefined} systemPrompt
+   * @param {import('zod').ZodType<T>} schema
+   * @param {RequestOptions} [options]
+   * @returns {Promise<LLMJSONResponse<T>>}
+   */
+  async generateJSON(prompt, systemPrompt, schema, options = {}) {
+    const response = await this.request(prompt, systemPrompt, {
+      ...options,
+      jsonSchema: { name: RESULT_NAME, schema: zodToJsonSchema(schema) },
+    });
+
+    let parsed;
+    try {
+      try {
+        parsed = JSON.parse(response.content);
+      } catch {
+        parsed = LLMClient.parseJSON(response.content);
+      }
+
+      const result = schema.safeParse(parsed);
+      if (!result.success) {
+        const why = result.error.issues
+          .map((i) => `${i.path.join('.')} – ${i.message}`)
+          .join('; ');
+        throw new Error(`Schema validation failed: ${why}`);
+      }
+
+      return { ...response, data: result.data };
+    } catch (error) {
+      // Do not serve the same invalid output from the cache again
+      if (response.cacheKey) {
+        this.cache.delete(response.cacheKey);
+      }
+      error.content = response.content;
+      throw error;
+    }
+  }
+
+  /**
+   * Send one request to the configured provider and report its usage
+   * @param {string} prompt
+   * @param {string | undefined} systemPrompt
+   * @param {RequestOptions} [options]
+   * @returns {Promise<LLMResponse>}
+   */
+  async request(prompt, systemPrompt, options = {}) {
+    const { jsonSchema, agent = 'default' } = options;
     const temperature = this.config.temperature ?? 0.7;
     const maxTokens = this.config.maxTokens ?? 4000;
+    const started = Date.now();
+
+    const cacheKey = this.cache?.hash({
+      provider: this.config.provider,
+      model: this.getModel(),
+      temperature,
+      systemPrompt,
+      prompt,
+      jsonSchema: jsonSchema?.schema,
+    });
+    const cached = cacheKey && this.cache.get(cacheKey);
+    if (cached) {
+      this.emit('usage', {
+        agent,
+        provider: this.config.provider,
+        model: this.getModel(),
+        prompt_tokens: 0,
+        completion_tokens: 0,
+        total_tokens: 0,
+        latency_ms: Date.now() - started,
+        cached: true,
+      });
+      return { ...cached, cached: true, cacheKey };
+    }
 
-    if (this.config.provider === 'openai') {
-      return this.generateOpenAI(prompt, systemPrompt, temperature, maxTokens);
-    } else if (this.config.provider === 'anthropic') {
-      return this.generateAnthropic(prompt, systemPrompt, temperature, maxTokens);
-    } else if (this.config.provider === 'ollama') {
-      return this.generateOllama(prompt, systemPrompt, temperature, maxTokens);
-    } else {
+    const response = await this.withRetries(async () => {
+      if (this.config.provider === 'openai' || this.config.provider === 'openai-compatible') {
+        return this.generateOpenAI(prompt, systemPrompt, temperature, maxTokens, jsonSchema);
+      } else if (this.config.provider === 'anthropic') {
+        return this.generateAnthropic(prompt, systemPrompt, temperature, maxTokens, jsonSchema);
+      } else if (this.config.provider === 'ollama') {
+        return this.generateOllama(prompt, systemPrompt, temperature, maxTokens, jsonSchema);
+      } else if (this.config.provider === 'replay') {
+        return this.generateReplay(agent, prompt, systemPrompt);
+      }
       throw new Error(`Unsupported LLM provider: ${this.config.provider}`);
+    });
+
+    if (this.recorder) {
+      this.recorder.write(agent, prompt, systemPrompt, response, {
+        provider: this.config.provider,
+        model: this.getModel(),
+      });
+    }
+    if (cacheKey) {
+      this.cache.set(cacheKey, response);
+    }
+
+    this.emit('usage', {
+      agent,
+      provider: this.config.provider,
+      model: this.getModel(),
+      prompt_tokens: response.usage?.prompt_tokens ?? 0,
+      completion_tokens: response.usage?.completion_tokens ?? 0,
+      total_tokens: response.usage?.total_tokens ?? 0,
+      latency_ms: Date.now() - started,
+    });
+
+    return { ...response, cacheKey };
+  }
+
+  /**
+   * Retry transient failures with exponential backoff and jitter,
+   * waiting for Retry-After when the provider sends one
+   * @template T
+   * @param {() => Promise<T>} call
+   * @returns {Promise<T>}
+   */
+  async withRetries(call) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await call();
+      } catch (error) {
+        const retryAfter = getRetryAfterMs(error);
+        if (attempt > this.maxRetries || !isRetryableError(error) || retryAfter > MAX_RETRY_AFTER_MS) {
+          throw error;
+        }
+
+        const delay = retryAfter ?? backoffDelay(attempt, this.retryBaseMs);
+        console.warn(`⚠️  ${this.config.provider} request failed (${error.message}). Retrying in ${delay}ms…`);
+        this.emit('backoff', {
+          provider: this.config.provider,
+          attempt,
+          max_retries: this.maxRetries,
+          delay_ms: delay,
+          error: error.message,
+        });
+        await sleep(delay);
+      }
     }
   }
 
+  /**
+   * Headers for an OpenAI-compatible server. A key sent under a custom
+   * header replaces the default `Authorization: Bearer` header.
+   * @param {import('./types.js').LLMConfig} config
+   * @returns {Record<string, string | null>}
+   */
+  buildCompatibleHeaders(config) {
+    const headers = { ...config.headers };
+    const keyHeader = config.apiKeyHeader;
+
+    if (config.apiKey && keyHeader && keyHeader.toLowerCase() !== 'authorization') {
+      headers.Authorization = null;
+      headers[keyHeader] = config.apiKey;
+    } else if (!config.apiKey) {
+      headers.Authorization = null;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Model name sent to the provider
+   * @returns {string}
+   */
+  getModel() {
+    return this.config.model || DEFAULT_MODELS[this.config.provider];
+  }
+
   /**
    * @param {string} prompt
    * @param {string | undefined} systemPrompt
    * @param {number} temperature
    * @param {number} maxTokens
+   * @param {JSONSchemaRequest} [jsonSchema]
    * @returns {Promise<LLMResponse>}
    */
-  async generateOpenAI(prompt, systemPrompt, temperature, maxTokens) {
+  async generateOpenAI(prompt, systemPrompt, temperature, maxTokens, jsonSchema) {
     if (!this.openaiClient) {
       throw new Error('OpenAI client not initialized');
     }
 
-    const model = this.config.model || 'gpt-4o';
+    const model = this.getModel();
     
     const messages = [];
     
@@ -82,6 +318,12 @@ export class LLMClient {
       messages,
       temperature,
       max_tokens: maxTokens,
+      ...(jsonSchema && {
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: jsonSchema.name, schema: jsonSchema.schema },
+        },
+      }),
     });
 
     const content = response.choices[0]?.message?.content || '';
@@ -99,14 +341,15 @@ export class LLMClient {
    * @param {string | undefined} systemPrompt
    * @param {number} temperature
    * @param {number} maxTokens
+   * @param {JSONSchemaRequest} [jsonSchema] - requested as a forced tool call
    * @returns {Promise<LLMResponse>}
    */
-  async generateAnthropic(prompt, systemPrompt, temperature, maxTokens) {
+  async generateAnthropic(prompt, systemPrompt, temperature, maxTokens, jsonSchema) {
     if (!this.anthropicClient) {
       throw new Error('Anthropic client not initialized');
     }
 
-    const model = this.config.model || 'claude-3-5-sonnet-20241022';
+    const model = this.getModel();
     
     const response = await this.anthropicClient.messages.create({
       model,
@@ -119,12 +362,23 @@ export class LLMClient {
           content: prompt,
         },
       ],
+      ...(jsonSchema && {
+        tools: [{
+          name: jsonSchema.name,
+          description: 'Submit the result. The input must follow the requested structure.',
+          input_schema: jsonSchema.schema,
+        }],
+        tool_choice: { type: 'tool', name: jsonSchema.name },
+      }),
     });
 
-    const content = response.content
-      .filter((block) => block.type === 'text')
-      .map(block => block.text)
-      .join('\n');
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    const content = toolUse
+      ? JSON.stringify(toolUse.input)
+      : response.content
+        .filter((block) => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
 
     const usage = response.usage ? {
       prompt_tokens: response.usage.input_tokens,
@@ -141,10 +395,11 @@ export class LLMClient {
    * @param {string | undefined} systemPrompt
    * @param {number} temperature
    * @param {number} maxTokens
+   * @param {JSONSchemaRequest} [jsonSchema] - passed as Ollama's `format`
    * @returns {Promise<LLMResponse>}
    */
-  async generateOllama(prompt, systemPrompt, temperature, maxTokens) {
-    const model = this.config.model || 'llama3.2';
+  async generateOllama(prompt, systemPrompt, temperature, maxTokens, jsonSchema) {
+    const model = this.getModel();
     const baseUrl = this.ollamaBaseUrl || 'http://localhost:11434';
 
     // Combine system prompt and user prompt
@@ -155,6 +410,7 @@ export class LLMClient {
     try {
       const response = await fetch(`${baseUrl}/api/generate`, {
         method: 'POST',
+        signal: AbortSignal.timeout(this.timeoutMs),
         headers: {
           'Content-Type': 'application/json',
         },
@@ -162,6 +418,7 @@ export class LLMClient {
           model,
           prompt: fullPrompt,
           stream: false,
+          ...(jsonSchema && { format: jsonSchema.schema }),
           options: {
             temperature,
             num_predict: maxTokens,
@@ -196,7 +453,7 @@ export class LLMClient {
             if (pullResponse.ok) {
               console.log(`✅ Model '${model}' pulled successfully! Retrying...\n`);
               // Retry the original request
-              return this.generateOllama(prompt, systemPrompt, temperature, maxTokens);
+              return this.generateOllama(prompt, systemPrompt, temperature, maxTokens, jsonSchema);
             } else {
               throw new Error(`Failed to pull model: ${await pullResponse.text()}`);
             }
@@ -209,7 +466,11 @@ export class LLMClient {
           }
         }
         
-        throw new Error(`Ollama API error: ${response.status} - ${errorText}`);
+        // Status and headers let request() decide whether to retry
+        const apiError = new Error(`Ollama API error: ${response.status} - ${errorText}`);
+        apiError.status = response.status;
+        apiError.headers = response.headers;
+        throw apiError;
       }
 
       const data = await response.json();
@@ -228,13 +489,26 @@ export class LLMClient {
         throw new Error(
           `Cannot connect to Ollama at ${baseUrl}. ` +
           `Make sure Ollama is running. Install from: https://ollama.ai\n` +
-          `Then run: ollama pull ${model}`
+          `Then run: ollama pull ${model}`,
+          { cause: error }
         );
       }
       throw error;
     }
   }
 
+  /**
+   * Serve a recorded response
+   * @param {string} agent
+   * @param {string} prompt
+   * @param {string | undefined} systemPrompt
+   * @returns {LLMResponse}
+   */
+  generateReplay(agent, prompt, systemPrompt) {
+    const fixture = this.fixtures.read(agent, prompt, systemPrompt);
+    return { content: fixture.content, usage: fixture.usage };
+  }
+
   /**
    * Get common prefix between two strings
    * @param {string} str1
@@ -252,6 +526,7 @@ export class LLMClient {
   /**
    * Parse JSON from LLM response, handling markdown code blocks,
    * duplicate‑line streaming glitches and common formatting problems.
+   * Fallback for generateJSON when a provider returns something other than plain JSON.
    *
    * @template T
    * @param {string} response  raw text returned by the LLM
@@ -651,21 +926,135 @@ export class LLMClient {
 }
 
 /**
- * Create LLM client from environment variables
- * @returns {LLMClient}
+ * @typedef {Object} LLMOverrides
+ * @property {import('./types.js').LLMProvider} [provider]
+ * @property {string} [model]
+ * @property {number} [temperature]
+ * @property {number} [maxTokens]
+ * @property {string} [baseUrl]
+ * @property {Record<string, string>} [headers] - extra headers for openai-compatible servers
+ * @property {boolean} [cache] - false bypasses the response cache
+ */
+
+/**
+ * Parse a JSON object of extra request headers
+ * @param {string | undefined} value
+ * @returns {Record<string, string>}
  */
-export function createLLMClientFromEnv() {
-  const provider = (process.env.LLM_PROVIDER || 'openai');
+function parseHeadersEnv(value) {
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`OPENAI_COMPATIBLE_HEADERS must be a JSON object: ${error.message}`);
+  }
+}
+
+/**
+ * Split a provider list such as "anthropic,openai:gpt-4o-mini,ollama" into
+ * entries; a model may follow the provider after the first colon
+ * @param {string} value
+ * @returns {Array<{provider: string, model?: string}>}
+ */
+export function parseProviderChain(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const colon = entry.indexOf(':');
+    return colon === -1
+      ? { provider: entry }
+      : { provider: entry.slice(0, colon), model: entry.slice(colon + 1) };
+  });
+}
+
+/**
+ * Create LLM client from environment variables.
+ * A comma-separated LLM_PROVIDER builds a fallback chain.
+ * @param {LLMOverrides} [overrides] - settings that win over the LLM_* variables
+ * @returns {LLMClient | FallbackLLMClient}
+ */
+export function createLLMClientFromEnv(overrides = {}) {
+  const envProvider = process.env.LLM_PROVIDER || 'openai';
+  const chain = parseProviderChain(overrides.provider || envProvider);
+  if (chain.length === 0) {
+    throw new Error('LLM_PROVIDER is empty');
+  }
+
+  if (chain.length > 1) {
+    console.log(`🔁 Provider fallback chain: ${chain.map(entry => entry.provider).join(' → ')}`);
+    return new FallbackLLMClient(chain.map((entry, index) => createLLMClientFromEnv({
+      ...overrides,
+      provider: entry.provider,
+      // An explicit model only belongs to the first provider
+      model: entry.model ?? (index === 0 ? overrides.model : undefined),
+    })));
+  }
+
+  const provider = chain[0].provider;
+  const recordDir = process.env.LLM_RECORD_DIR || undefined;
+
+  // LLM_MODEL names a model of the first LLM_PROVIDER, so it is not carried over to another provider
+  const model = chain[0].model
+    ?? overrides.model
+    ?? (provider === parseProviderChain(envProvider)[0]?.provider ? process.env.LLM_MODEL : undefined);
+  const temperature = overrides.temperature
+    ?? (process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : undefined);
+  const maxTokens = overrides.maxTokens
+    ?? (process.env.LLM_MAX_TOKENS ? parseInt(process.env.LLM_MAX_TOKENS, 10) : undefined);
+  const maxRetries = process.env.LLM_MAX_RETRIES ? parseInt(process.env.LLM_MAX_RETRIES, 10) : undefined;
+  const timeoutMs = process.env.LLM_TIMEOUT_MS ? parseInt(process.env.LLM_TIMEOUT_MS, 10) : undefined;
+  const cache = overrides.cache === false ? undefined : createLLMCacheFromEnv();
+
+  // Replay is offline - serves responses saved by LLM_RECORD_DIR runs
+  if (provider === 'replay') {
+    console.log('📼 Replaying recorded LLM responses');
+    return new LLMClient({
+      provider: 'replay',
+      fixturesDir: process.env.LLM_FIXTURES_DIR,
+    });
+  }
   
   // Ollama is FREE - runs locally, no API key needed
   if (provider === 'ollama') {
     console.log('🆓 Using Ollama (FREE local LLM)');
     return new LLMClient({
       provider: 'ollama',
-      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
-      model: process.env.LLM_MODEL || 'llama3.2',
-      temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : undefined,
-      maxTokens: process.env.LLM_MAX_TOKENS ? parseInt(process.env.LLM_MAX_TOKENS, 10) : undefined,
+      baseUrl: overrides.baseUrl || process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      model: model || 'llama3.2',
+      temperature,
+      maxTokens,
+      maxRetries,
+      timeoutMs,
+      recordDir,
+      cache,
+    });
+  }
+
+  // Self-hosted servers that speak the OpenAI chat API
+  if (provider === 'openai-compatible') {
+    const baseUrl = overrides.baseUrl || process.env.OPENAI_COMPATIBLE_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('OPENAI_COMPATIBLE_BASE_URL environment variable is required');
+    }
+    if (!model) {
+      throw new Error('LLM_MODEL is required for the openai-compatible provider');
+    }
+
+    console.log(`🔌 Using OpenAI-compatible server at ${baseUrl}`);
+    return new LLMClient({
+      provider: 'openai-compatible',
+      baseUrl,
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || '',
+      apiKeyHeader: process.env.OPENAI_COMPATIBLE_API_KEY_HEADER || undefined,
+      headers: { ...parseHeadersEnv(process.env.OPENAI_COMPATIBLE_HEADERS), ...overrides.headers },
+      model,
+      temperature,
+      maxTokens,
+      maxRetries,
+      timeoutMs,
+      recordDir,
+      cache,
     });
   }
   
@@ -687,8 +1076,12 @@ export function createLLMClientFromEnv() {
   return new LLMClient({
     provider,
     apiKey,
-    model: process.env.LLM_MODEL,
-    temperature: process.env.LLM_TEMPERATURE ? parseFloat(process.env.LLM_TEMPERATURE) : undefined,
-    maxTokens: process.env.LLM_MAX_TOKENS ? parseInt(process.env.LLM_MAX_TOKENS, 10) : undefined,
+    model,
+    temperature,
+    maxTokens,
+    maxRetries,
+    timeoutMs,
+    recordDir,
+    cache,
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,109 @@
+/**
+ * Ordered provider fallback chain with the LLMClient interface
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} ProviderSwitch
+ * @property {string} from - provider/model that failed
+ * @property {string} to - provider/model used from now on
+ * @property {string} error
+ */
+
+/**
+ * Sends requests to the first provider in the chain and moves to the next
+ * one when it fails after its own retries. The switch sticks for later
+ * requests. Emits 'fallback' with a ProviderSwitch, and forwards 'usage'
+ * and 'backoff' from the wrapped clients.
+ */
+export class FallbackLLMClient extends EventEmitter {
+  /**
+   * @param {import('./llm-client.js').LLMClient[]} clients - in order of preference
+   */
+  constructor(clients) {
+    super();
+    this.clients = clients;
+    this.active = 0;
+
+    for (const client of clients) {
+      client.on('usage', usage => this.emit('usage', usage));
+      client.on('backoff', backoff => this.emit('backoff', backoff));
+    }
+  }
+
+  /**
+   * Config of the provider currently in use
+   * @returns {import('./types.js').LLMConfig}
+   */
+  get config() {
+    return this.clients[this.active].config;
+  }
+
+  /**
+   * @returns {string}
+   */
+  getModel() {
+    return this.clients[this.active].getModel();
+  }
+
+  /**
+   * @param {string} prompt
+   * @param {string} [systemPrompt]
+   * @param {import('./llm-client.js').RequestOptions} [options]
+   * @returns {Promise<import('./llm-client.js').LLMResponse>}
+   */
+  async generate(prompt, systemPrompt, options) {
+    return this.withFallback(client => client.generate(prompt, systemPrompt, options));
+  }
+
+  /**
+   * @template T
+   * @param {string} prompt
+   * @param {string | undefined} systemPrompt
+   * @param {import('zod').ZodType<T>} schema
+   * @param {import('./llm-client.js').RequestOptions} [options]
+   * @returns {Promise<import('./llm-client.js').LLMJSONResponse<T>>}
+   */
+  async generateJSON(prompt, systemPrompt, schema, options) {
+    return this.withFallback(client => client.generateJSON(prompt, systemPrompt, schema, options));
+  }
+
+  /**
+   * @template T
+   * @param {(client: import('./llm-client.js').LLMClient) => Promise<T>} call
+   * @returns {Promise<T>}
+   */
+  async withFallback(call) {
+    while (true) {
+      const client = this.clients[this.active];
+
+      try {
+        return await call(client);
+      } catch (error) {
+        // Invalid output (error.content set) is for the repair loop, not a provider failure
+        if (error.content !== undefined || this.active >= this.clients.length - 1) {
+          throw error;
+        }
+
+        this.active++;
+        /** @type {ProviderSwitch} */
+        const change = {
+          from: describeClient(client),
+          to: describeClient(this.clients[this.active]),
+          error: error.message,
+        };
+        console.warn(`⚠️  ${change.from} failed (${change.error}). Falling back to ${change.to}`);
+        this.emit('fallback', change);
+      }
+    }
+  }
+}
+
+/**
+ * @param {import('./llm-client.js').LLMClient} client
+ * @returns {string}
+ */
+function describeClient(client) {
+  return `${client.config.provider}/${client.getModel()}`;
+}
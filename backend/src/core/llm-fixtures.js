@@ -0,0 +1,101 @@
+/**
+ * Recorded LLM responses for offline, deterministic runs
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+
+/**
+ * @typedef {Object} LLMFixture
+ * @property {string} agent
+ * @property {string} hash
+ * @property {string} provider - provider that produced the response
+ * @property {string} model
+ * @property {string} system
+ * @property {string} prompt
+ * @property {string} content
+ * @property {import('./llm-client.js').LLMResponse['usage']} [usage]
+ * @property {string} recorded_at
+ */
+
+/**
+ * Fixtures are stored as <dir>/<agent>/<prompt hash>.json
+ */
+export class LLMFixtureStore {
+  /**
+   * @param {string} [dir]
+   */
+  constructor(dir) {
+    this.dir = path.resolve(dir || './fixtures/llm');
+  }
+
+  /**
+   * Hash of the system and user prompt a response is recorded under
+   * @param {string} prompt
+   * @param {string} [systemPrompt]
+   * @returns {string}
+   */
+  hash(prompt, systemPrompt) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([systemPrompt || '', prompt]))
+      .digest('hex');
+  }
+
+  /**
+   * @param {string} agent
+   * @param {string} hash
+   * @returns {string}
+   */
+  fileFor(agent, hash) {
+    return path.join(this.dir, agent, `${hash}.json`);
+  }
+
+  /**
+   * Look up a recorded response
+   * @param {string} agent
+   * @param {string} prompt
+   * @param {string} [systemPrompt]
+   * @returns {LLMFixture}
+   */
+  read(agent, prompt, systemPrompt) {
+    const file = this.fileFor(agent, this.hash(prompt, systemPrompt));
+    if (!fs.existsSync(file)) {
+      throw new Error(
+        `No recorded ${agent} response for this prompt (${path.relative(process.cwd(), file)}). ` +
+        'Record one with LLM_RECORD_DIR set and a live provider.'
+      );
+    }
+
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  }
+
+  /**
+   * Save a response from a live provider
+   * @param {string} agent
+   * @param {string} prompt
+   * @param {string | undefined} systemPrompt
+   * @param {import('./llm-client.js').LLMResponse} response
+   * @param {{provider: string, model: string}} source
+   */
+  write(agent, prompt, systemPrompt, response, source) {
+    const hash = this.hash(prompt, systemPrompt);
+    const file = this.fileFor(agent, hash);
+
+    /** @type {LLMFixture} */
+    const fixture = {
+      agent,
+      hash,
+      provider: source.provider,
+      model: source.model,
+      system: systemPrompt || '',
+      prompt,
+      content: response.content,
+      usage: response.usage,
+      recorded_at: new Date().toISOString(),
+    };
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  }
+}
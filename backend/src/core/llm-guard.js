@@ -0,0 +1,65 @@
+/**
+ * LLMClient wrapper that checks a condition before every request
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * Calls `guard` before each request and lets it throw to stop the request, so
+ * a repair loop still running after its stage was abandoned sends nothing more.
+ * Forwards 'usage', 'backoff' and 'fallback' from the wrapped client.
+ */
+export class GuardedLLMClient extends EventEmitter {
+  /**
+   * @param {import('./llm-client.js').LLMClient | import('./llm-fallback.js').FallbackLLMClient} client
+   * @param {() => void} guard - throws when no more requests may be sent
+   */
+  constructor(client, guard) {
+    super();
+    this.client = client;
+    this.guard = guard;
+
+    for (const event of ['usage', 'backoff', 'fallback']) {
+      client.on(event, data => this.emit(event, data));
+    }
+  }
+
+  /**
+   * Config of the wrapped client
+   * @returns {import('./types.js').LLMConfig}
+   */
+  get config() {
+    return this.client.config;
+  }
+
+  /**
+   * @returns {string}
+   */
+  getModel() {
+    return this.client.getModel();
+  }
+
+  /**
+   * @param {string} prompt
+   * @param {string} [systemPrompt]
+   * @param {import('./llm-client.js').RequestOptions} [options]
+   * @returns {Promise<import('./llm-client.js').LLMResponse>}
+   */
+  async generate(prompt, systemPrompt, options) {
+    this.guard();
+    return this.client.generate(prompt, systemPrompt, options);
+  }
+
+  /**
+   * @template T
+   * @param {string} prompt
+   * @param {string | undefined} systemPrompt
+   * @param {import('zod').ZodType<T>} schema
+   * @param {import('./llm-client.js').RequestOptions} [options]
+   * @returns {Promise<import('./llm-client.js').LLMJSONResponse<T>>}
+   */
+  async generateJSON(prompt, systemPrompt, schema, options) {
+    this.guard();
+    return this.client.generateJSON(prompt, systemPrompt, schema, options);
+  }
+}
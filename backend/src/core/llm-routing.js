@@ -0,0 +1,100 @@
+/**
+ * Per-agent LLM provider and model routing
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createLLMClientFromEnv } from './llm-client.js';
+
+export const AGENT_ROLES = ['CVA', 'CD', 'VE', 'AE', 'SCO', 'OC'];
+
+/**
+ * @typedef {import('./llm-client.js').LLMOverrides} LLMOverrides
+ *
+ * @typedef {Object} LLMRoutingFile
+ * @property {LLMOverrides} [default] - applies to every agent
+ * @property {Record<string, LLMOverrides>} [agents] - per-agent settings, keyed by role
+ */
+
+/**
+ * Read the routing file named by LLM_CONFIG_FILE
+ * @returns {LLMRoutingFile}
+ */
+export function loadLLMRoutingFile() {
+  const file = process.env.LLM_CONFIG_FILE;
+  if (!file) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read LLM_CONFIG_FILE ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Read LLM_<ROLE>_PROVIDER, _MODEL, _TEMPERATURE, _MAX_TOKENS and _BASE_URL
+ * @param {string} role
+ * @returns {LLMOverrides}
+ */
+function readRoleEnv(role) {
+  const env = name => process.env[`LLM_${role}_${name}`] || undefined;
+  const overrides = {
+    provider: env('PROVIDER'),
+    model: env('MODEL'),
+    temperature: env('TEMPERATURE') ? parseFloat(env('TEMPERATURE')) : undefined,
+    maxTokens: env('MAX_TOKENS') ? parseInt(env('MAX_TOKENS'), 10) : undefined,
+    baseUrl: env('BASE_URL'),
+  };
+
+  return Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Settings for one agent. Role env vars win over the routing file's agent
+ * entry, which wins over its default entry; the global LLM_* vars fill the rest.
+ * @param {string} role
+ * @param {LLMRoutingFile} [routing]
+ * @returns {LLMOverrides}
+ */
+export function resolveAgentLLMSettings(role, routing = loadLLMRoutingFile()) {
+  const fromFile = { ...routing.default, ...routing.agents?.[role] };
+  const fromEnv = readRoleEnv(role);
+
+  // A model named for one provider does not carry over when a later layer switches provider
+  if (fromEnv.provider && fromEnv.provider !== fromFile.provider && !fromEnv.model) {
+    delete fromFile.model;
+  }
+
+  return { ...fromFile, ...fromEnv };
+}
+
+/**
+ * Create one client per agent. Agents with identical settings share a client.
+ * @param {{cache?: boolean}} [options] - cache: false bypasses the response cache for every agent
+ * @returns {Record<string, import('./llm-client.js').LLMClient>}
+ */
+export function createAgentClientsFromEnv(options = {}) {
+  const routing = loadLLMRoutingFile();
+  const shared = new Map();
+  const clients = {};
+
+  for (const role of AGENT_ROLES) {
+    const settings = resolveAgentLLMSettings(role, routing);
+    if (Object.keys(settings).length > 0) {
+      console.log(`🔀 ${role} routed to ${JSON.stringify(settings)}`);
+    }
+
+    if (options.cache === false) {
+      settings.cache = false;
+    }
+    const key = JSON.stringify(settings);
+    if (!shared.has(key)) {
+      shared.set(key, createLLMClientFromEnv(settings));
+    }
+    clients[role] = shared.get(key);
+  }
+
+  return clients;
+}
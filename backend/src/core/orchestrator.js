@@ -1,83 +1,893 @@
 /**
- * Main orchestrator that executes agents sequentially and manages data flow
+ * Main orchestrator that runs the registered stages as a dependency graph and manages data flow
  */
 
-import { createLLMClientFromEnv } from './llm-client.js';
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
+import { AGENT_ROLES, createAgentClientsFromEnv } from './llm-routing.js';
+import { GuardedLLMClient } from './llm-guard.js';
 import { validateInput } from './validation.js';
+import { AssetProber } from '../ffmpeg/prober.js';
+import { createAssetCacheFromEnv } from './asset-cache.js';
+import { createRunStoreFromEnv } from './run-store.js';
+import { getRepairAttempts } from './video-orchestrator.js';
+import { loadSafetyRulesFromEnv, findingsOutsideInstructions } from './safety-rules.js';
+import { checkTimeline } from './timeline-check.js';
+import { resolveSafetyPolicy, safetyBlockedError, diffInstructions, applyModifiedInstructions } from './safety-policy.js';
+import { RunStats, budgetFromEnv, loadPriceTable } from './run-stats.js';
+import { StageRegistry, resultKeys } from './stage-registry.js';
+import { resolveVariantCount, assertVariantsPlanner, styleSeedFor, withStyleSeed, scorePlan, rankPlans } from './plan-ranking.js';
+import { RootSchema } from '../schemas/video-structure.schema.js';
+import { CDResultSchema, VEResultSchema, AEResultSchema, SCOResultSchema } from '../schemas/agent-results.schema.js';
 import { CVA } from '../agents/cva.js';
 import { CD } from '../agents/cd.js';
 import { VE } from '../agents/ve.js';
 import { AE } from '../agents/ae.js';
 import { SCO } from '../agents/sco.js';
 import { OC } from '../agents/oc.js';
+import { PlanJudge } from '../agents/judge.js';
+import { RulesCVA, RulesCD, RulesVE, RulesAE, RulesSCO, resolvePlanner } from '../agents/rules-planner.js';
 
-export class VideoGenerationOrchestrator {
+// Stages running at once unless PIPELINE_CONCURRENCY or the concurrency option say otherwise
+const DEFAULT_CONCURRENCY = 2;
+
+/**
+ * @typedef {Object} ExecuteOptions
+ * @property {AbortSignal} [signal] - aborts the run before the next stage starts
+ * @property {(update: {stage: string, progress: number}) => void} [onProgress]
+ * @property {string} [resume] - run ID to resume; saved stage results are reused and the saved input replaces rawInput
+ * @property {StageRerun} [rerun] - with resume: run this stage again, plus the stages that depend on it
+ */
+
+/**
+ * @typedef {Omit<ExecuteOptions, 'resume' | 'rerun'> & {variants?: number}} VariantOptions
+ * variants: candidate plans to make (1-5, default 1)
+ */
+
+/**
+ * @typedef {Object} StageOverrides
+ * @property {Object} [input] - deep-merged into the project input the stage sees
+ * @property {Object} [output] - deep-merged into the stage result (arrays are replaced)
+ *
+ * @typedef {StageOverrides & {stage: string, regenerate?: boolean}} StageRerun
+ * regenerate: false applies the output overrides to the saved result without calling the agent
+ */
+
+/**
+ * @typedef {Object} OrchestratorOptions
+ * @property {string} [assetBaseDir] - directory relative asset paths are resolved against
+ * @property {string} [assetRoot] - local asset paths must resolve inside this directory (API requests use ASSET_ROOT)
+ * @property {Record<string, number>} [repairAttempts] - per-agent attempt limits, e.g. { CVA: 5, SCO: 1 }
+ * @property {Record<string, import('./llm-client.js').LLMClient>} [llmClients] - per-agent clients, keyed by role
+ * @property {boolean} [cache] - false skips the LLM response cache for clients created from env
+ * @property {import('./run-stats.js').RunBudget} [budget] - token/cost limits; defaults to LLM_TOKEN_BUDGET / LLM_COST_BUDGET_USD
+ * @property {Record<string, import('./run-stats.js').ModelPrice>} [prices] - price table; defaults to LLM_PRICES_FILE merged over built-in prices
+ * @property {import('./run-store.js').RunStore} [runStore] - where stage results are checkpointed; defaults to RUNS_DIR
+ * @property {import('./safety-rules.js').SafetyRules} [safetyRules] - deterministic checks run before SCO; defaults to SAFETY_RULES_FILE / SAFETY_* env
+ * @property {import('./safety-policy.js').SafetyPolicy} [safetyPolicy] - what to do when SCO flags an issue; defaults to SAFETY_POLICY, then 'warn'
+ * @property {import('../agents/rules-planner.js').Planner} [planner] - 'rules' plans without an LLM; defaults to PLANNER, then 'llm'
+ * @property {Array<import('./stage-registry.js').StageDefinition & import('./stage-registry.js').StagePosition>} [stages] -
+ *   custom stages, inserted at their position; one named like a built-in stage replaces it
+ * @property {number} [concurrency] - stages run at once when their inputs are ready; defaults to PIPELINE_CONCURRENCY, then 2
+ */
+
+/**
+ * Emits 'event' with {type, timestamp, ...} payloads:
+ * stage_started, stage_finished (restored: true when reused from a checkpoint, patched: true when only overrides were applied),
+ * usage, retry, backoff, provider_fallback, safety_remediation, pipeline_finished, pipeline_failed,
+ * and for executeVariants: variant_started, variant_failed, variants_ranked
+ */
+export class VideoGenerationOrchestrator extends EventEmitter {
   /**
-   * @param {import('./llm-client.js').LLMClient} [llmClient]
+   * @param {import('./llm-client.js').LLMClient} [llmClient] - used by every agent; routed from env when omitted
+   * @param {OrchestratorOptions} [options]
    */
-  constructor(llmClient) {
-    const client = llmClient || createLLMClientFromEnv();
+  constructor(llmClient, options = {}) {
+    super();
+    this.planner = resolvePlanner(options.planner);
+
+    // The rules planner needs no clients, so it runs without any LLM configured
+    const configured = this.planner === 'rules' ? {} : {
+      ...(llmClient
+        ? Object.fromEntries(AGENT_ROLES.map(role => [role, llmClient]))
+        : createAgentClientsFromEnv({ cache: options.cache })),
+      ...options.llmClients,
+    };
+    // Requests stop once the run is over budget, so a repair loop or fallback chain cannot run past it
+    const guarded = new Map([...new Set(Object.values(configured))].map(client => [
+      client,
+      new GuardedLLMClient(client, () => this.budgetController.signal.throwIfAborted()),
+    ]));
+    const clients = Object.fromEntries(Object.entries(configured).map(([role, client]) => [role, guarded.get(client)]));
+
+    /** @type {string | null} stage started last, used to attribute LLM events outside a stage */
+    this.currentStage = null;
+    /** @type {AsyncLocalStorage<string>} stage whose code is running, so concurrent stages' LLM events are told apart */
+    this.stageContext = new AsyncLocalStorage();
+    /** @type {string[]} provider switches in the current run, reported in assumptions */
+    this.providerSwitches = [];
+
+    this.budget = { ...budgetFromEnv(), ...options.budget };
+    this.prices = options.prices || loadPriceTable();
+    /** @type {RunStats} usage of the current run */
+    this.runStats = new RunStats({ prices: this.prices, budget: this.budget });
+    /** @type {RunStats | undefined} usage across every variant and the judge while executeVariants runs */
+    this.variantStats = undefined;
+    /** @type {AbortController} aborted with a BUDGET_EXCEEDED error by the request that goes over budget */
+    this.budgetController = new AbortController();
+
+    const activeStage = () => this.stageContext.getStore() ?? this.currentStage;
+    for (const client of new Set(Object.values(clients))) {
+      client.on('usage', usage => {
+        this.runStats.recordUsage(usage.agent !== 'default' ? usage.agent : activeStage(), usage);
+        this.emitEvent('usage', { stage: activeStage(), ...usage });
+        this.stopIfOverBudget(activeStage());
+      });
+      client.on('retry', retry => {
+        this.runStats.recordRepair(activeStage());
+        this.emitEvent('retry', { stage: activeStage(), ...retry });
+      });
+      client.on('backoff', backoff => this.emitEvent('backoff', { stage: activeStage(), ...backoff }));
+      client.on('fallback', change => {
+        this.providerSwitches.push(
+          `LLM provider switched from ${change.from} to ${change.to} during ${activeStage()}: ${change.error}`
+        );
+        this.emitEvent('provider_fallback', { stage: activeStage(), ...change });
+      });
+    }
     
-    this.cva = new CVA(client);
-    this.cd = new CD(client);
-    this.ve = new VE(client);
-    this.ae = new AE(client);
-    this.sco = new SCO(client);
-    this.oc = new OC(client);
+    const safetyRules = options.safetyRules || loadSafetyRulesFromEnv();
+    if (this.planner === 'rules') {
+      this.cva = new RulesCVA();
+      this.cd = new RulesCD();
+      this.ve = new RulesVE();
+      this.ae = new RulesAE();
+      this.sco = new RulesSCO({ rules: safetyRules });
+    } else {
+      const attempts = agent => ({ maxAttempts: getRepairAttempts(agent, options.repairAttempts) });
+      this.cva = new CVA(clients.CVA, attempts('CVA'));
+      this.cd = new CD(clients.CD, attempts('CD'));
+      this.ve = new VE(clients.VE, attempts('VE'));
+      this.ae = new AE(clients.AE, attempts('AE'));
+      this.sco = new SCO(clients.SCO, { ...attempts('SCO'), rules: safetyRules });
+    }
+    this.oc = new OC(clients.OC);
+    // Ranks candidate plans from executeVariants, alongside the deterministic checks
+    this.judge = clients.OC && new PlanJudge(clients.OC, { maxAttempts: getRepairAttempts('judge', options.repairAttempts) });
+
+    /** @type {StageRegistry} stages after asset inspection, in pipeline order */
+    this.stages = new StageRegistry(createBuiltInStages(this));
+    for (const { before, after, ...stage } of options.stages || []) {
+      if (this.stages.get(stage.name)) {
+        this.stages.replace(stage.name, stage);
+      } else {
+        this.stages.add(stage, { before, after });
+      }
+    }
+
+    this.assetCache = createAssetCacheFromEnv(options.assetBaseDir, options.assetRoot);
+    this.runStore = options.runStore || createRunStoreFromEnv();
+    this.safetyPolicy = resolveSafetyPolicy(options.safetyPolicy);
+    this.concurrency = resolveConcurrency(options.concurrency);
+    this.prober = new AssetProber({ ffprobePath: process.env.FFPROBE_PATH });
   }
 
   /**
-   * Execute the full video generation pipeline
+   * Resolve local paths and download remote assets into the cache
+   * @param {import('./types.js').VideoGenerationInput} input
+   * @param {import('./asset-cache.js').AssetCache} [assetCache]
+   * @returns {Promise<import('./types.js').VideoGenerationInput>}
+   */
+  async resolveAssets(input, assetCache = this.assetCache) {
+    const { input: resolved, warnings } = await assetCache.resolveInput(input);
+    for (const warning of warnings) {
+      console.warn(`⚠️  ${warning}`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Attach ffprobe metadata to assets so agents plan with real durations and sizes
    * @param {import('./types.js').VideoGenerationInput} input
+   * @returns {Promise<import('./types.js').VideoGenerationInput>}
+   */
+  async inspectAssets(input) {
+    if (!(await this.prober.checkAvailable())) {
+      console.warn('⚠️  ffprobe not found. Agents will plan without asset metadata.');
+      return input;
+    }
+
+    console.log('🔍 Inspecting assets with ffprobe...');
+    const { input: inspected, warnings } = await this.prober.inspectInput(input);
+    for (const warning of warnings) {
+      console.warn(`⚠️  ${warning}`);
+    }
+
+    return inspected;
+  }
+
+  /**
+   * Emit a structured pipeline event on the 'event' channel
+   * @param {string} type
+   * @param {Object} [data]
+   */
+  emitEvent(type, data = {}) {
+    this.emit('event', { type, ...data, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Stop the run once the token or cost budget is used up
+   * @throws {Error} with code 'BUDGET_EXCEEDED' and the run_stats so far
+   */
+  assertWithinBudget() {
+    const exceeded = this.runStats.checkBudget();
+    if (exceeded) {
+      throw this.budgetError(`${exceeded} (after ${this.currentStage})`);
+    }
+  }
+
+  /**
+   * Abort the running stages as soon as a request takes the run over its budget
+   * @param {string | null} stage - stage that sent the request
+   */
+  stopIfOverBudget(stage) {
+    const exceeded = this.runStats.checkBudget();
+    if (exceeded && !this.budgetController.signal.aborted) {
+      this.budgetController.abort(this.budgetError(`${exceeded} (during ${stage})`));
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @returns {Error & {code: 'BUDGET_EXCEEDED', run_stats: import('./run-stats.js').RunStatsReport}}
+   */
+  budgetError(message) {
+    const error = /** @type {any} */ (new Error(message));
+    error.code = 'BUDGET_EXCEEDED';
+    error.run_stats = this.runStats.toJSON();
+    return error;
+  }
+
+  /**
+   * Execute the full video generation pipeline
+   * @param {import('./types.js').VideoGenerationInput} rawInput
+   * @param {ExecuteOptions} [options]
    * @returns {Promise<import('./types.js').FinalOutput>}
    */
-  async execute(input) {
+  async execute(rawInput, options = {}) {
+    const { signal, onProgress, resume, rerun } = options;
+    this.providerSwitches = [];
+    this.runStats = new RunStats({ prices: this.prices, budget: this.budget, parent: this.variantStats });
+    this.budgetController = new AbortController();
+    this.currentStage = null;
+
+    let run;
+    /** @type {Record<string, StageOverrides>} */
+    let overrides = {};
+    if (resume) {
+      run = this.runStore.get(resume);
+      if (!run) {
+        const error = new Error(`Run not found: ${resume}`);
+        error.code = 'RUN_NOT_FOUND';
+        throw error;
+      }
+      rawInput = this.runStore.loadInput(run.id);
+
+      // Overrides are kept with the run (once the stage accepted them) so they survive later resumes and re-runs
+      overrides = { ...run.overrides };
+      if (rerun) {
+        assertRerunnable(rerun, this.stages.get(rerun.stage), this.runStore.loadStage(run.id, rerun.stage));
+        assertNoCommandOverrides(rerun.output);
+      }
+      if (rerun?.input || rerun?.output) {
+        overrides[rerun.stage] = deepMerge(overrides[rerun.stage] || {}, { input: rerun.input, output: rerun.output });
+      }
+
+      run = this.runStore.update(run.id, { status: 'running', failed_stage: null, error: null });
+      console.log(rerun
+        ? `♻️  Re-running ${rerun.stage} of run ${run.id}`
+        : `♻️  Resuming run ${run.id} (saved stages: ${run.stages.join(', ') || 'none'})`);
+    } else if (rerun) {
+      throw new Error('Re-running a stage needs the run ID to resume');
+    }
+
+    /** @type {string[]} */
+    const restored = [];
+    /** @type {Set<string>} stages computed in this execution */
+    const recomputed = new Set();
+    /** @type {Record<string, Record<string, any>>} finished stages' results by stage name, then result key */
+    let outputs = {};
+    /** @type {import('./types.js').VideoGenerationInput} */
+    let input;
+    /** @type {import('./asset-cache.js').AssetCache} */
+    let assetCache;
+    // Cleared once the input changes under the saved results (safety remediation)
+    let restoreSaved = Boolean(resume);
+    let progress = 0;
+
+    // Validate, resolve and inspect a project input the way the assets stage does
+    const prepareInput = async raw => {
+      validateInput(raw);
+      return this.inspectAssets(await this.resolveAssets(raw, assetCache));
+    };
+
+    // Run one stage with progress reporting and checkpointing; cancelled and over-budget runs stop before a stage starts.
+    // The stage receives the project input with its input overrides applied, and the results it declared.
+    const runStage = async (stage, producers) => {
+      const { name } = stage;
+      const checkpoint = stage.checkpoint !== false;
+      signal?.throwIfAborted();
+      this.assertWithinBudget();
+      // Concurrent stages may start out of order; progress never goes back
+      progress = Math.max(progress, stage.progress ?? progress);
+      onProgress?.({ stage: name, progress });
+      this.currentStage = name;
+
+      // A saved result is reused unless the stage is re-run or something it reads was recomputed
+      const stale = name === rerun?.stage || Object.values(producers).some(dependency => recomputed.has(dependency));
+      const saved = checkpoint && restoreSaved && !stale ? this.runStore.loadStage(run.id, name) : undefined;
+      if (saved !== undefined) {
+        restored.push(name);
+        this.emitEvent('stage_finished', { stage: name, duration_ms: 0, restored: true });
+        return saved;
+      }
+      // Stages that are never checkpointed only invalidate what follows when their inputs changed
+      if (checkpoint || stale) {
+        recomputed.add(name);
+      }
+
+      const stageOverrides = overrides[name] || {};
+      const patchOnly = name === rerun?.stage && rerun.regenerate === false && restoreSaved;
+      this.emitEvent('stage_started', { stage: name, progress });
+
+      const started = Date.now();
+      // Overrides patch the raw input, which then goes through the same checks as a new request
+      let stageInput = input;
+      if (stageOverrides.input && !patchOnly) {
+        try {
+          stageInput = await prepareInput(deepMerge(rawInput, stageOverrides.input));
+        } catch (error) {
+          const issues = error.issues?.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ') ?? error.message;
+          const invalid = new Error(`${name} input overrides are invalid: ${issues}`);
+          invalid.code = error.code === 'ASSET_OUTSIDE_ROOT' ? error.code : 'INVALID_RERUN';
+          throw invalid;
+        }
+      }
+      let result = patchOnly
+        ? this.runStore.loadStage(run.id, name)
+        : await untilAborted(this.stageContext.run(name, () => stage.run(
+          stageInput,
+          Object.fromEntries(Object.entries(producers).map(([key, producer]) => [key, outputs[producer][key]]))
+        )), this.budgetController.signal);
+      if (stageOverrides.output) {
+        result = applyOutputOverrides(stage, result, stageOverrides.output);
+      } else {
+        assertValidResult(stage, result);
+      }
+      if (checkpoint) {
+        this.runStore.saveStage(run.id, name, result);
+        // Saved downstream results were built from the old one
+        this.runStore.deleteStages(run.id, this.stages.dependentsOf(name));
+      }
+      if (name === rerun?.stage) {
+        this.runStore.update(run.id, { overrides });
+      }
+
+      this.emitEvent('stage_finished', {
+        stage: name,
+        duration_ms: Date.now() - started,
+        ...(patchOnly && { patched: true }),
+      });
+      return result;
+    };
+
+    // Run stages as a dependency graph: each starts once the stages it reads have finished,
+    // at most this.concurrency at a time. Results land in `outputs` under the stage's result key(s).
+    const runStages = async stages => {
+      const pending = [...stages];
+      /** @type {Map<string, Promise<void>>} */
+      const running = new Map();
+      let failure;
+
+      while (pending.length > 0 || running.size > 0) {
+        for (const stage of [...pending]) {
+          if (failure || running.size >= this.concurrency) {
+            break;
+          }
+          const producers = this.stages.producersOf(stage.name);
+          if (!Object.values(producers).every(producer => outputs[producer])) {
+            continue;
+          }
+
+          pending.splice(pending.indexOf(stage), 1);
+          running.set(stage.name, runStage(stage, producers)
+            .then(result => {
+              outputs[stage.name] = Array.isArray(stage.result)
+                ? Object.fromEntries(stage.result.map(key => [key, result[key]]))
+                : { [stage.result]: result };
+            })
+            .catch(error => {
+              error.stage ??= stage.name;
+              failure ??= error;
+            })
+            .finally(() => running.delete(stage.name)));
+        }
+
+        if (running.size === 0) {
+          // Only after a failure: every pending stage's inputs are produced by earlier stages
+          break;
+        }
+        await Promise.race(running.values());
+      }
+
+      if (failure) {
+        throw failure;
+      }
+    };
+
+    // Latest result for a key: the last stage in pipeline order that produced it
+    const resultOf = key => {
+      const producer = this.stages.list().findLast(stage => resultKeys(stage).includes(key) && outputs[stage.name]);
+      return producer && outputs[producer.name][key];
+    };
+
     try {
       // Validate input
-      validateInput(input);
+      validateInput(rawInput);
+
+      run ??= this.runStore.create(rawInput, { assetBaseDir: this.assetCache.baseDir });
+      this.emitEvent('run_started', { run_id: run.id, resumed: Boolean(resume) });
+      assetCache = resume ? createAssetCacheFromEnv(run.asset_base_dir, this.assetCache.root) : this.assetCache;
+
+      // Fetch and inspect assets before any agent sees them. Not checkpointed:
+      // it costs no tokens and cached downloads may have been evicted since.
+      const assetsStage = {
+        name: 'assets',
+        inputs: [],
+        result: 'input',
+        checkpoint: false,
+        run: () => prepareInput(rawInput),
+      };
+      input = await runStage(assetsStage, {});
 
-      // Role 1: Chief Video Architect
-      console.log('🎬 Role 1: Chief Video Architect (CVA) - Planning video structure...');
-      const cvaResult = await this.cva.execute(input);
+      // Stages reading SCO's result (OC) wait for the safety policy. The others plan the video
+      // and run again when the policy remediates the instructions.
+      const stages = this.stages.list();
+      const safetyStage = stages.findLast(stage => resultKeys(stage).includes('scoResult'));
+      const afterSafety = new Set(safetyStage ? this.stages.dependentsOf(safetyStage.name) : []);
+      const planning = stages.filter(stage => !afterSafety.has(stage.name));
 
-      // Role 2: Creative Director
-      console.log('🎨 Role 2: Creative Director (CD) - Creating creative direction...');
-      const cdResult = await this.cd.execute(input, cvaResult);
+      await runStages(planning);
+      /** @type {import('./safety-policy.js').SafetyRemediation | undefined} */
+      let remediation = run.remediation;
 
-      // Role 3: Video Engineer
-      console.log('⚙️  Role 3: Video Engineer (VE) - Building technical timeline...');
-      const veResult = await this.ve.execute(input, cvaResult, cdResult);
+      const scoResult = resultOf('scoResult');
+      if (scoResult?.safety_issue) {
+        if (this.safetyPolicy === 'block') {
+          throw safetyBlockedError(scoResult);
+        }
 
-      // Role 4: Audio Engineer
-      console.log('🎵 Role 4: Audio Engineer (AE) - Mixing audio tracks...');
-      const aeResult = await this.ae.execute(input, cvaResult, cdResult, veResult);
+        if (this.safetyPolicy === 'auto-remediate') {
+          // A re-run would be flagged again by the same asset findings
+          const unfixable = findingsOutsideInstructions(scoResult.rule_findings);
+          if (unfixable.length > 0) {
+            throw safetyBlockedError(scoResult, `changed instructions cannot fix ${unfixable.map(finding => finding.subject).join(', ')}`);
+          }
 
-      // Role 5: Safety & Compliance Officer
-      console.log('🛡️  Role 5: Safety & Compliance Officer (SCO) - Checking safety...');
-      const scoResult = await this.sco.execute(input, cvaResult, cdResult, veResult, aeResult);
+          const modified = scoResult.safe_alternative?.modified_instructions || {};
+          const changes = diffInstructions(rawInput.instructions, modified);
+          if (changes.length === 0) {
+            throw safetyBlockedError(scoResult, 'SCO proposed no instruction changes to remediate it');
+          }
 
-      // If safety issues found, log warning but continue
-      if (scoResult.safety_issue) {
-        console.warn('⚠️  Safety issues detected:', scoResult.safety_reason);
+          remediation = { reason: scoResult.safety_reason, changes };
+          console.warn(`⚠️  Safety issues detected: ${scoResult.safety_reason}. Re-running with modified ${changes.map(change => change.instruction).join(', ')}`);
+          this.emitEvent('safety_remediation', remediation);
+
+          // The run continues from the remediated input, so resumes stay consistent with its results.
+          // It goes through the assets stage again: a replacement voiceover file needs the same checks and caching.
+          rawInput = applyModifiedInstructions(rawInput, modified);
+          input = await runStage(assetsStage, {});
+          this.runStore.saveInput(run.id, rawInput);
+          this.runStore.update(run.id, { remediation });
+          restoreSaved = false;
+
+          outputs = {};
+          await runStages(planning);
+          if (resultOf('scoResult').safety_issue) {
+            throw safetyBlockedError(resultOf('scoResult'), 'still flagged after auto-remediation');
+          }
+        } else {
+          console.warn('⚠️  Safety issues detected:', scoResult.safety_reason);
+        }
       }
 
-      // Role 6: Output Compiler
-      console.log('📦 Role 6: Output Compiler (OC) - Compiling final output...');
-      const finalOutput = await this.oc.execute(
-        input,
-        cvaResult,
-        cdResult,
-        veResult,
-        aeResult,
-        scoResult
-      );
+      await runStages(stages.filter(stage => afterSafety.has(stage.name)));
 
+      /** @type {import('./types.js').FinalOutput} */
+      const finalOutput = resultOf('finalOutput');
+      if (!finalOutput) {
+        throw new Error('No stage produced finalOutput');
+      }
+
+      finalOutput.json_output.assumptions.push(...(resultOf('timelineCorrections') || []));
+      if (rerun) {
+        finalOutput.json_output.assumptions.push(
+          `Re-ran ${rerun.stage} of run ${run.id}${rerun.regenerate === false ? ' (overrides only)' : ''}; recomputed ${[...recomputed].join(', ')}`
+        );
+      }
+      if (restored.length > 0) {
+        finalOutput.json_output.assumptions.push(`Resumed run ${run.id}: reused saved ${restored.join(', ')} results`);
+      }
+      if (remediation) {
+        finalOutput.json_output.assumptions.push(
+          `Safety issue auto-remediated (${remediation.reason}): changed ${remediation.changes.map(change => change.instruction).join(', ')}`
+        );
+        finalOutput.json_output.safety_remediation = remediation;
+      }
+      finalOutput.json_output.assumptions.push(...this.providerSwitches);
+      finalOutput.json_output.run_id = run.id;
+      finalOutput.json_output.run_stats = this.runStats.toJSON();
+
+      this.currentStage = null;
+      this.runStore.update(run.id, { status: 'completed' });
+      this.emitEvent('pipeline_finished', { run_id: run.id });
       console.log('✅ Video generation pipeline completed successfully!');
       return finalOutput;
     } catch (error) {
+      if (run) {
+        error.run_id = run.id;
+        this.runStore.update(run.id, { status: 'failed', failed_stage: error.stage ?? this.currentStage, error: error.message });
+      }
+      this.emitEvent('pipeline_failed', {
+        stage: error.stage ?? this.currentStage,
+        error: error.message,
+        run_id: run?.id,
+        run_stats: this.runStats.toJSON(),
+      });
       console.error('❌ Error in video generation pipeline:', error);
       throw error;
     }
   }
+
+  /**
+   * Re-run one stage of a saved run with overrides. Stages that do not
+   * depend on it keep their saved results.
+   * @param {string} runId
+   * @param {string} stage - a checkpointed stage, e.g. CVA, CD, VE, AE, SCO or OC (case-insensitive)
+   * @param {StageOverrides & {regenerate?: boolean}} [overrides]
+   * @param {Omit<ExecuteOptions, 'resume' | 'rerun'>} [options]
+   * @returns {Promise<import('./types.js').FinalOutput>}
+   */
+  async rerunStage(runId, stage, overrides = {}, options = {}) {
+    const name = this.stages.list().find(definition => definition.name.toLowerCase() === stage.toLowerCase())?.name ?? stage;
+    return this.execute(undefined, { ...options, resume: runId, rerun: { ...overrides, stage: name } });
+  }
+
+  /**
+   * Plan several candidate videos, one run each with a different style seed, and rank them
+   * by the deterministic checks and the judge. Nothing is rendered: resume the chosen
+   * variant's run_id to render it. The LLM budget covers all variants and the judge together;
+   * once it is spent no further variants are started.
+   * @param {import('./types.js').VideoGenerationInput} rawInput
+   * @param {VariantOptions} [options]
+   * @returns {Promise<import('./plan-ranking.js').RankedPlans>}
+   * @throws {Error} the first variant's error when every variant fails, or code 'INVALID_VARIANTS'
+   *   for more than one variant with the rules planner
+   */
+  async executeVariants(rawInput, options = {}) {
+    const { variants: count, onProgress, ...executeOptions } = options;
+    const variants = resolveVariantCount(count);
+    assertVariantsPlanner(variants, this.planner);
+    validateInput(rawInput);
+
+    const plans = [];
+    /** @type {import('./plan-ranking.js').RankedPlans['failed']} */
+    const failed = [];
+    const errors = [];
+    const totalStats = new RunStats({ prices: this.prices, budget: this.budget });
+    this.variantStats = totalStats;
+
+    try {
+      for (let index = 0; index < variants; index++) {
+        const variant = index + 1;
+        const styleSeed = styleSeedFor(index);
+        const exceeded = totalStats.checkBudget();
+        if (exceeded) {
+          console.warn(`⚠️  Not starting the remaining ${variants - index} variant(s): ${exceeded}`);
+          for (let skipped = index; skipped < variants; skipped++) {
+            failed.push({ variant: skipped + 1, style_seed: styleSeedFor(skipped), error: `Not started: ${exceeded}` });
+          }
+          break;
+        }
+        this.emitEvent('variant_started', { variant, variants, style_seed: styleSeed });
+        console.log(`🎲 Variant ${variant}/${variants}${styleSeed ? ` (${styleSeed})` : ''}`);
+
+        try {
+          const result = await this.execute(withStyleSeed(rawInput, styleSeed), {
+            ...executeOptions,
+            // Each variant takes an equal share of the overall progress
+            onProgress: update => onProgress?.({ ...update, progress: (index + update.progress) / variants }),
+          });
+          plans.push({
+            variant,
+            style_seed: styleSeed,
+            run_id: result.json_output.run_id,
+            score: scorePlan(rawInput, result.json_output),
+            json_output: result.json_output,
+            human_summary: result.human_summary,
+          });
+        } catch (error) {
+          // A cancelled request stops every variant; one failed plan does not stop the others
+          if (executeOptions.signal?.aborted) {
+            throw error;
+          }
+          errors.push(error);
+          failed.push({ variant, style_seed: styleSeed, error: error.message, ...(error.run_id && { run_id: error.run_id }) });
+          this.emitEvent('variant_failed', { variant, error: error.message, run_id: error.run_id });
+        }
+      }
+    } finally {
+      this.variantStats = undefined;
+    }
+
+    if (plans.length === 0) {
+      throw errors[0];
+    }
+
+    /** @type {import('./types.js').JudgeResult['rankings']} */
+    let judgements = [];
+    let judgeStats;
+    const exceeded = totalStats.checkBudget();
+    if (this.judge && plans.length > 1 && exceeded) {
+      console.warn(`⚠️  Skipping the plan judge, ranking by checks only: ${exceeded}`);
+    } else if (this.judge && plans.length > 1) {
+      this.runStats = new RunStats({ prices: this.prices, budget: this.budget, parent: totalStats });
+      this.budgetController = new AbortController();
+      this.currentStage = 'judge';
+      onProgress?.({ stage: 'judge', progress: 1 });
+      console.log('⚖️  Plan Judge - Scoring candidate plans...');
+      try {
+        judgements = (await this.judge.execute(rawInput, plans)).rankings;
+      } catch (error) {
+        // The checks alone still rank the plans
+        console.warn(`⚠️  Plan judge failed, ranking by checks only: ${error.message}`);
+      }
+      judgeStats = this.runStats.toJSON();
+      this.currentStage = null;
+    }
+
+    const ranked = rankPlans(plans, judgements);
+    this.emitEvent('variants_ranked', {
+      ranking: ranked.map(plan => ({ variant: plan.variant, run_id: plan.run_id, total: plan.score.total })),
+    });
+    return { variants: ranked, failed, run_stats: totalStats.toJSON(), ...(judgeStats && { judge_stats: judgeStats }) };
+  }
+}
+
+/**
+ * The six agent roles and the timeline check, in pipeline order. Stages call
+ * the orchestrator's agents when they run, so planner choice applies.
+ * SCO comes right after CD: it needs nothing from VE or AE, so it runs alongside them.
+ * @param {VideoGenerationOrchestrator} orchestrator
+ * @returns {import('./stage-registry.js').StageDefinition[]}
+ */
+function createBuiltInStages(orchestrator) {
+  return [
+    {
+      name: 'CVA',
+      inputs: [],
+      result: 'cvaResult',
+      schema: RootSchema,
+      progress: 0.1,
+      run: input => {
+        console.log('🎬 Role 1: Chief Video Architect (CVA) - Planning video structure...');
+        return orchestrator.cva.execute(input);
+      },
+    },
+    {
+      name: 'CD',
+      inputs: ['cvaResult'],
+      result: 'cdResult',
+      schema: CDResultSchema,
+      progress: 0.25,
+      run: (input, { cvaResult }) => {
+        console.log('🎨 Role 2: Creative Director (CD) - Creating creative direction...');
+        return orchestrator.cd.execute(input, cvaResult);
+      },
+    },
+    {
+      name: 'SCO',
+      inputs: ['cvaResult', 'cdResult'],
+      result: 'scoResult',
+      schema: SCOResultSchema,
+      progress: 0.3,
+      run: (input, { cvaResult, cdResult }) => {
+        console.log('🛡️  Role 5: Safety & Compliance Officer (SCO) - Checking safety...');
+        return orchestrator.sco.execute(input, cvaResult, cdResult);
+      },
+    },
+    {
+      name: 'VE',
+      inputs: ['cvaResult', 'cdResult'],
+      result: 'veResult',
+      schema: VEResultSchema,
+      progress: 0.4,
+      run: (input, { cvaResult, cdResult }) => {
+        console.log('⚙️  Role 3: Video Engineer (VE) - Building technical timeline...');
+        return orchestrator.ve.execute(input, cvaResult, cdResult);
+      },
+    },
+    {
+      // Deterministic fixes to VE's timeline, so it is recomputed rather than checkpointed
+      name: 'timeline',
+      inputs: ['cvaResult', 'veResult'],
+      result: ['cvaResult', 'veResult', 'timelineCorrections'],
+      checkpoint: false,
+      progress: 0.5,
+      run: (input, { cvaResult, veResult }) => {
+        const { corrections, ...checked } = checkTimeline(input, cvaResult, veResult);
+        return { ...checked, timelineCorrections: corrections };
+      },
+    },
+    {
+      name: 'AE',
+      inputs: ['cvaResult', 'cdResult', 'veResult'],
+      result: 'aeResult',
+      schema: AEResultSchema,
+      progress: 0.55,
+      run: (input, { cvaResult, cdResult, veResult }) => {
+        console.log('🎵 Role 4: Audio Engineer (AE) - Mixing audio tracks...');
+        return orchestrator.ae.execute(input, cvaResult, cdResult, veResult);
+      },
+    },
+    {
+      name: 'OC',
+      inputs: ['cvaResult', 'cdResult', 'veResult', 'aeResult', 'scoResult'],
+      result: 'finalOutput',
+      progress: 0.85,
+      run: (input, { cvaResult, cdResult, veResult, aeResult, scoResult }) => {
+        console.log('📦 Role 6: Output Compiler (OC) - Compiling final output...');
+        return orchestrator.oc.execute(input, cvaResult, cdResult, veResult, aeResult, scoResult);
+      },
+    },
+  ];
+}
+
+/**
+ * @param {number | string} [value] - defaults to PIPELINE_CONCURRENCY, then 2
+ * @returns {number}
+ */
+function resolveConcurrency(value = process.env.PIPELINE_CONCURRENCY) {
+  if (value === undefined || value === '') {
+    return DEFAULT_CONCURRENCY;
+  }
+
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid pipeline concurrency: ${value} (expected a positive integer)`);
+  }
+  return concurrency;
+}
+
+/**
+ * @param {StageRerun} rerun
+ * @param {import('./stage-registry.js').StageDefinition | undefined} stage
+ * @param {any} saved - the stage's saved result
+ * @throws {Error} with code 'INVALID_RERUN'
+ */
+function assertRerunnable(rerun, stage, saved) {
+  let message;
+  if (!stage) {
+    message = `Unknown stage: ${rerun.stage}`;
+  } else if (stage.checkpoint === false) {
+    message = `${rerun.stage} is not checkpointed; it runs again on every resume`;
+  } else if (rerun.regenerate === false && saved === undefined) {
+    message = `Run has no saved ${rerun.stage} result to apply overrides to`;
+  } else if (rerun.regenerate === false && !rerun.output) {
+    message = 'Output overrides are required when the stage is not regenerated';
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.code = 'INVALID_RERUN';
+    throw error;
+  }
+}
+
+/**
+ * Check a stage result against the stage schema, if it declares one.
+ * The result is not replaced, so fields outside the schema survive.
+ * @param {import('./stage-registry.js').StageDefinition} stage
+ * @param {any} result
+ * @param {{code: string, message: string}} [failure] - error code and message prefix
+ * @throws {Error} with code 'STAGE_RESULT_INVALID' (or failure.code)
+ */
+function assertValidResult(stage, result, failure = { code: 'STAGE_RESULT_INVALID', message: `${stage.name} returned an invalid result` }) {
+  const missing = Array.isArray(stage.result) ? stage.result.filter(key => result?.[key] === undefined) : [];
+  const validation = stage.schema?.safeParse(result);
+  if (missing.length === 0 && (!validation || validation.success)) {
+    return;
+  }
+
+  const issues = missing.length > 0
+    ? `missing ${missing.join(', ')}`
+    : validation.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+  const error = new Error(`${failure.message}: ${issues}`);
+  error.code = failure.code;
+  throw error;
+}
+
+/**
+ * Merge output overrides into a stage result and check it still fits the stage schema
+ * @param {import('./stage-registry.js').StageDefinition} stage
+ * @param {any} result
+ * @param {Object} overrides
+ * @returns {any}
+ * @throws {Error} with code 'INVALID_RERUN'
+ */
+function applyOutputOverrides(stage, result, overrides) {
+  assertNoCommandOverrides(overrides);
+  const merged = deepMerge(result, overrides);
+  assertValidResult(stage, merged, { code: 'INVALID_RERUN', message: `${stage.name} overrides produce an invalid result` });
+  return merged;
+}
+
+/**
+ * Settle with the value, or reject with the signal's reason as soon as it is aborted.
+ * A pending promise keeps running; its outcome is ignored after the abort.
+ * @template T
+ * @param {Promise<T> | T} value - what a stage returned; synchronous stages return the result itself
+ * @param {AbortSignal} signal
+ * @returns {Promise<T>}
+ */
+function untilAborted(value, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(value).then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * FFmpeg commands run in a shell, so they are only ever built from the plan, never overridden
+ * @param {Object} [overrides] - output overrides
+ * @throws {Error} with code 'INVALID_RERUN'
+ */
+function assertNoCommandOverrides(overrides) {
+  if (isPlainObject(overrides?.json_output) && 'ffmpeg_commands' in overrides.json_output) {
+    const error = new Error('json_output.ffmpeg_commands cannot be overridden; they are built from the plan');
+    error.code = 'INVALID_RERUN';
+    throw error;
+  }
 }
 
+/**
+ * Recursively merge plain objects; arrays and other values in the patch replace the target's
+ * @param {any} target
+ * @param {any} patch
+ * @returns {any}
+ */
+function deepMerge(target, patch) {
+  if (patch === undefined) {
+    return target;
+  }
+  if (!isPlainObject(target) || !isPlainObject(patch)) {
+    return patch;
+  }
+
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    merged[key] = deepMerge(target[key], value);
+  }
+  return merged;
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
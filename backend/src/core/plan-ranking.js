@@ -0,0 +1,168 @@
+/**
+ * Candidate plans: style seeds that make variants differ, deterministic
+ * scores, and the ranking that combines them with the judge's scores
+ */
+
+// Most variants one request may ask for; each is a full planning run
+export const MAX_VARIANTS = 5;
+
+/**
+ * Appended to instructions.style, one per variant (cycling). The first variant
+ * keeps the instructions as given.
+ * @type {Array<string | null>}
+ */
+export const STYLE_SEEDS = [
+  null,
+  'bolder pacing with more dynamic camera moves',
+  'slower, calmer pacing with gentle movement',
+  'high contrast, dramatic mood',
+  'light, playful mood',
+  'minimal, documentary feel',
+];
+
+/**
+ * @typedef {Object} PlanScore
+ * @property {number} duration - 1 when total_duration matches target_duration, falling to 0 at double or zero (0-1)
+ * @property {number} coverage - share of the input assets the timeline or audio mix uses (0-1)
+ * @property {number} safety - 0 when the plan has a safety issue, else 1
+ * @property {number} checks - mean of duration, coverage and safety
+ * @property {number} [judge] - the judge's score (0-10), when it rated the plan
+ * @property {string} [judge_reason]
+ * @property {number} total - checks, averaged with judge / 10 when there is a judge score (0-1)
+ *
+ * @typedef {Object} RankedPlan
+ * @property {number} rank - 1 is the best plan
+ * @property {number} variant - 1-based, in generation order
+ * @property {string | null} style_seed
+ * @property {string} run_id - resume this run to render the plan
+ * @property {PlanScore} score
+ * @property {import('./types.js').VideoGenerationOutput} json_output
+ * @property {string} human_summary
+ *
+ * @typedef {Object} RankedPlans
+ * @property {RankedPlan[]} variants - best first
+ * @property {Array<{variant: number, style_seed: string | null, error: string, run_id?: string}>} failed - variants whose run failed or was not started once the budget ran out
+ * @property {import('./run-stats.js').RunStatsReport} run_stats - LLM usage of every variant and the judge, against the one budget
+ * @property {import('./run-stats.js').RunStatsReport} [judge_stats] - LLM usage of the judge
+ */
+
+/**
+ * @param {number | string} [value] - defaults to 1
+ * @returns {number}
+ * @throws {Error} with code 'INVALID_VARIANTS'
+ */
+export function resolveVariantCount(value) {
+  if (value === undefined || value === '') {
+    return 1;
+  }
+
+  const variants = Number(value);
+  if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+    const error = new Error(`Invalid variant count: ${value} (expected an integer from 1 to ${MAX_VARIANTS})`);
+    error.code = 'INVALID_VARIANTS';
+    throw error;
+  }
+  return variants;
+}
+
+/**
+ * The rules planner does not plan from instructions.style, so style seeds would give it the same plan every time
+ * @param {number} variants
+ * @param {import('../agents/rules-planner.js').Planner} planner
+ * @throws {Error} with code 'INVALID_VARIANTS' for more than one variant with the rules planner
+ */
+export function assertVariantsPlanner(variants, planner) {
+  if (variants > 1 && planner === 'rules') {
+    const error = new Error('Variants need the llm planner: the rules planner makes the same plan for every style seed');
+    error.code = 'INVALID_VARIANTS';
+    throw error;
+  }
+}
+
+/**
+ * @param {number} index - 0-based variant index
+ * @returns {string | null}
+ */
+export function styleSeedFor(index) {
+  return STYLE_SEEDS[index % STYLE_SEEDS.length];
+}
+
+/**
+ * The input with the seed appended to instructions.style
+ * @param {import('./types.js').VideoGenerationInput} input
+ * @param {string | null} seed
+ * @returns {import('./types.js').VideoGenerationInput}
+ */
+export function withStyleSeed(input, seed) {
+  if (!seed) {
+    return input;
+  }
+
+  const style = [input.instructions?.style, seed].filter(Boolean).join('; ');
+  return { ...input, instructions: { ...input.instructions, style } };
+}
+
+/**
+ * Deterministic checks of a finished plan
+ * @param {import('./types.js').VideoGenerationInput} input
+ * @param {import('./types.js').VideoGenerationOutput} output
+ * @returns {Omit<PlanScore, 'total'>}
+ */
+export function scorePlan(input, output) {
+  const target = input.instructions.target_duration;
+  const duration = target
+    ? Math.max(0, 1 - Math.abs(output.total_duration - target) / target)
+    : 1;
+
+  // LLM-planned tracks may name an asset by its source rather than its ID
+  const used = new Set([
+    ...output.react_timeline.segments.map(segment => segment.asset),
+    ...output.audio_mix.tracks.flatMap(track => [track.id, track.src]),
+  ]);
+  const coverage = input.assets.length > 0
+    ? input.assets.filter(asset => [asset.id, asset.src, asset.local_path].some(key => key && used.has(key))).length / input.assets.length
+    : 1;
+
+  const safety = output.safety_issue ? 0 : 1;
+
+  return {
+    duration: round(duration),
+    coverage: round(coverage),
+    safety,
+    checks: round((duration + coverage + safety) / 3),
+  };
+}
+
+/**
+ * Combine check and judge scores and sort best first. Ties keep generation order.
+ * @param {Array<Omit<RankedPlan, 'rank' | 'score'> & {score: Omit<PlanScore, 'total'>}>} plans
+ * @param {import('./types.js').JudgeResult['rankings']} [judgements]
+ * @returns {RankedPlan[]}
+ */
+export function rankPlans(plans, judgements = []) {
+  return plans
+    .map(plan => {
+      const judgement = judgements.find(entry => entry.variant === plan.variant);
+      const total = judgement
+        ? (plan.score.checks + judgement.score / 10) / 2
+        : plan.score.checks;
+      return {
+        ...plan,
+        score: {
+          ...plan.score,
+          ...(judgement && { judge: judgement.score, judge_reason: judgement.reason }),
+          total: round(total),
+        },
+      };
+    })
+    .sort((a, b) => b.score.total - a.score.total || a.variant - b.variant)
+    .map((plan, index) => ({ rank: index + 1, ...plan }));
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Number(value.toFixed(3));
+}
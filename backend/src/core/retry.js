@@ -0,0 +1,99 @@
+/**
+ * Retry helpers for transient LLM provider failures
+ */
+
+// Statuses worth retrying: timeouts, conflicts, rate limits and server errors (529 = Anthropic overloaded)
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+const RETRYABLE_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT',
+]);
+
+const RETRYABLE_NAMES = new Set(['TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError']);
+
+// Longest Retry-After we wait for; beyond it the provider counts as exhausted
+export const MAX_RETRY_AFTER_MS = 60000;
+
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Check whether an error is transient: rate limits, overloads, timeouts and
+ * connection failures. Quota exhaustion and client errors are not.
+ * @param {any} error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === 'insufficient_quota' || current.error?.code === 'insufficient_quota') {
+      return false;
+    }
+    if (RETRYABLE_STATUSES.has(current.status) || current.status >= 500) {
+      return true;
+    }
+    if (RETRYABLE_CODES.has(current.code) || RETRYABLE_NAMES.has(current.name)) {
+      return true;
+    }
+    if (typeof current.message === 'string' && current.message.includes('fetch failed')) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Delay requested by a Retry-After (or retry-after-ms) response header
+ * @param {any} error
+ * @returns {number | undefined} milliseconds
+ */
+export function getRetryAfterMs(error) {
+  const headers = error?.headers;
+  if (!headers) {
+    return undefined;
+  }
+
+  const read = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const ms = parseFloat(read('retry-after-ms'));
+  if (!Number.isNaN(ms)) {
+    return Math.max(0, ms);
+  }
+
+  const value = read('retry-after');
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: between half and all of base * 2^(attempt - 1)
+ * @param {number} attempt - 1 for the first retry
+ * @param {number} baseMs
+ * @returns {number}
+ */
+export function backoffDelay(attempt, baseMs) {
+  const delay = Math.min(MAX_BACKOFF_MS, baseMs * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,240 @@
+/**
+ * Per-agent LLM usage, cost estimates and run budgets
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * USD per million tokens. Models are matched exactly, then by the longest
+ * key the model name starts with (so dated releases share a price).
+ * @type {Record<string, ModelPrice>}
+ */
+export const DEFAULT_PRICES = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'claude-3-5-sonnet': { prompt: 3, completion: 15 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-3-opus': { prompt: 15, completion: 75 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+};
+
+// Providers that cost nothing per token
+const FREE_PROVIDERS = new Set(['ollama', 'replay']);
+
+// Usually a local server: free unless the price table names the model (a hosted gateway)
+const SELF_HOSTED_PROVIDERS = new Set(['openai-compatible']);
+
+/**
+ * @typedef {Object} ModelPrice
+ * @property {number} prompt - USD per million prompt tokens
+ * @property {number} completion - USD per million completion tokens
+ *
+ * @typedef {Object} RunBudget
+ * @property {number} [maxTokens] - total tokens across all agents
+ * @property {number} [maxCostUsd] - estimated cost across all agents
+ *
+ * @typedef {Object} UsageStats
+ * @property {number} calls
+ * @property {number} prompt_tokens
+ * @property {number} completion_tokens
+ * @property {number} total_tokens
+ * @property {number} latency_ms
+ * @property {number} repair_attempts
+ * @property {number} cost_usd
+ *
+ * @typedef {UsageStats & {models: string[]}} AgentUsageStats
+ *
+ * @typedef {Object} RunStatsReport
+ * @property {Record<string, AgentUsageStats>} agents
+ * @property {UsageStats} totals
+ * @property {string[]} unpriced_models - models missing from the price table, counted as free
+ * @property {{max_tokens?: number, max_cost_usd?: number}} [budget]
+ */
+
+/**
+ * Price table from LLM_PRICES_FILE (JSON, same shape as DEFAULT_PRICES) merged over the defaults
+ * @returns {Record<string, ModelPrice>}
+ */
+export function loadPriceTable() {
+  const file = process.env.LLM_PRICES_FILE;
+  if (!file) {
+    return DEFAULT_PRICES;
+  }
+
+  try {
+    return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8')) };
+  } catch (error) {
+    throw new Error(`Could not read LLM_PRICES_FILE ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Budget from LLM_TOKEN_BUDGET and LLM_COST_BUDGET_USD
+ * @returns {RunBudget}
+ */
+export function budgetFromEnv() {
+  return {
+    maxTokens: process.env.LLM_TOKEN_BUDGET ? parseInt(process.env.LLM_TOKEN_BUDGET, 10) : undefined,
+    maxCostUsd: process.env.LLM_COST_BUDGET_USD ? parseFloat(process.env.LLM_COST_BUDGET_USD) : undefined,
+  };
+}
+
+/**
+ * @returns {UsageStats}
+ */
+function emptyStats() {
+  return {
+    calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    latency_ms: 0,
+    repair_attempts: 0,
+    cost_usd: 0,
+  };
+}
+
+export class RunStats {
+  /**
+   * @param {{prices?: Record<string, ModelPrice>, budget?: RunBudget, parent?: RunStats}} [options] -
+   *   usage is also added to parent, and parent's budget applies too (runs sharing one budget)
+   */
+  constructor(options = {}) {
+    this.prices = options.prices || DEFAULT_PRICES;
+    this.budget = options.budget || {};
+    this.parent = options.parent;
+
+    /** @type {Record<string, AgentUsageStats>} */
+    this.agents = {};
+    /** @type {Set<string>} */
+    this.unpriced = new Set();
+  }
+
+  /**
+   * @param {string} agent
+   * @returns {AgentUsageStats}
+   */
+  forAgent(agent) {
+    if (!this.agents[agent]) {
+      this.agents[agent] = { ...emptyStats(), models: [] };
+    }
+    return this.agents[agent];
+  }
+
+  /**
+   * Add one request's usage (an LLMClient 'usage' event)
+   * @param {string} agent
+   * @param {{provider: string, model: string, prompt_tokens: number, completion_tokens: number, total_tokens: number, latency_ms: number}} usage
+   */
+  recordUsage(agent, usage) {
+    const stats = this.forAgent(agent);
+    stats.calls++;
+    stats.prompt_tokens += usage.prompt_tokens;
+    stats.completion_tokens += usage.completion_tokens;
+    stats.total_tokens += usage.total_tokens;
+    stats.latency_ms += usage.latency_ms;
+    stats.cost_usd += this.estimateCost(usage);
+
+    const model = `${usage.provider}/${usage.model}`;
+    if (!stats.models.includes(model)) {
+      stats.models.push(model);
+    }
+    this.parent?.recordUsage(agent, usage);
+  }
+
+  /**
+   * Count a request to repair invalid output
+   * @param {string} agent
+   */
+  recordRepair(agent) {
+    this.forAgent(agent).repair_attempts++;
+    this.parent?.recordRepair(agent);
+  }
+
+  /**
+   * @param {{provider: string, model: string, prompt_tokens: number, completion_tokens: number}} usage
+   * @returns {number} USD
+   */
+  estimateCost(usage) {
+    if (FREE_PROVIDERS.has(usage.provider)) {
+      return 0;
+    }
+
+    const price = this.findPrice(usage.model);
+    if (!price && SELF_HOSTED_PROVIDERS.has(usage.provider)) {
+      return 0;
+    }
+    if (!price) {
+      this.unpriced.add(usage.model);
+      return 0;
+    }
+
+    return (usage.prompt_tokens * price.prompt + usage.completion_tokens * price.completion) / 1e6;
+  }
+
+  /**
+   * @param {string} model
+   * @returns {ModelPrice | undefined}
+   */
+  findPrice(model) {
+    if (this.prices[model]) {
+      return this.prices[model];
+    }
+
+    const prefix = Object.keys(this.prices)
+      .filter(key => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : undefined;
+  }
+
+  /**
+   * @returns {UsageStats}
+   */
+  totals() {
+    const totals = emptyStats();
+    for (const stats of Object.values(this.agents)) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += stats[key];
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Describe how the budget was exceeded, if it was
+   * @returns {string | null}
+   */
+  checkBudget() {
+    const totals = this.totals();
+    const { maxTokens, maxCostUsd } = this.budget;
+
+    if (maxTokens !== undefined && totals.total_tokens > maxTokens) {
+      return `Token budget exceeded: ${totals.total_tokens} of ${maxTokens} tokens used`;
+    }
+    if (maxCostUsd !== undefined && totals.cost_usd > maxCostUsd) {
+      return `Cost budget exceeded: $${totals.cost_usd.toFixed(4)} of $${maxCostUsd} spent`;
+    }
+    return this.parent?.checkBudget() ?? null;
+  }
+
+  /**
+   * @returns {RunStatsReport}
+   */
+  toJSON() {
+    const round = stats => ({ ...stats, cost_usd: Number(stats.cost_usd.toFixed(6)) });
+    const hasBudget = this.budget.maxTokens !== undefined || this.budget.maxCostUsd !== undefined;
+
+    return {
+      agents: Object.fromEntries(Object.entries(this.agents).map(([agent, stats]) => [agent, round(stats)])),
+      totals: round(this.totals()),
+      unpriced_models: [...this.unpriced],
+      ...(hasBudget && {
+        budget: { max_tokens: this.budget.maxTokens, max_cost_usd: this.budget.maxCostUsd },
+      }),
+    };
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * On-disk checkpoints of pipeline runs, so a failed run can resume
+ * without paying for the stages that already finished
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+
+// Run IDs come from the CLI and API; anything else could escape the store
+const RUN_ID = /^[\w-]+$/;
+
+/**
+ * @typedef {'running' | 'completed' | 'failed'} RunStatus
+ *
+ * @typedef {Object} RunRecord
+ * @property {string} id
+ * @property {RunStatus} status
+ * @property {string[]} stages - stages with a saved result
+ * @property {string | null} failed_stage
+ * @property {string | null} error
+ * @property {Record<string, import('./orchestrator.js').StageOverrides>} [overrides] - per-stage overrides applied whenever the stage runs
+ * @property {import('./safety-policy.js').SafetyRemediation} [remediation] - instruction changes made by the safety policy
+ * @property {string} asset_base_dir - directory relative asset paths were resolved against
+ * @property {string} created_at
+ * @property {string} updated_at
+ */
+
+/**
+ * Layout: <dir>/<run-id>/run.json, input.json and stages/<stage>.json
+ */
+export class RunStore {
+  /**
+   * @param {{dir?: string}} [options]
+   */
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || './.runs');
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string}
+   */
+  runDir(id) {
+    if (!RUN_ID.test(id)) {
+      throw new Error(`Invalid run ID: ${id}`);
+    }
+    return path.join(this.dir, id);
+  }
+
+  /**
+   * Start a new run
+   * @param {import('./types.js').VideoGenerationInput} input
+   * @param {{assetBaseDir: string}} context
+   * @returns {RunRecord}
+   */
+  create(input, context) {
+    const now = new Date().toISOString();
+    /** @type {RunRecord} */
+    const run = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      stages: [],
+      failed_stage: null,
+      error: null,
+      asset_base_dir: context.assetBaseDir,
+      created_at: now,
+      updated_at: now,
+    };
+
+    fs.mkdirSync(path.join(this.runDir(run.id), 'stages'), { recursive: true });
+    writeJSON(path.join(this.runDir(run.id), 'input.json'), input);
+    writeJSON(path.join(this.runDir(run.id), 'run.json'), run);
+
+    return run;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {RunRecord | undefined}
+   */
+  get(id) {
+    return RUN_ID.test(id) ? readJSON(path.join(this.runDir(id), 'run.json')) : undefined;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {import('./types.js').VideoGenerationInput}
+   */
+  loadInput(id) {
+    return readJSON(path.join(this.runDir(id), 'input.json'));
+  }
+
+  /**
+   * Replace the run's input, e.g. after safety remediation changed its instructions
+   * @param {string} id
+   * @param {import('./types.js').VideoGenerationInput} input
+   */
+  saveInput(id, input) {
+    writeJSON(path.join(this.runDir(id), 'input.json'), input);
+  }
+
+  /**
+   * @param {string} id
+   * @param {Partial<RunRecord>} patch
+   * @returns {RunRecord}
+   */
+  update(id, patch) {
+    const run = { ...this.get(id), ...patch, updated_at: new Date().toISOString() };
+    writeJSON(path.join(this.runDir(id), 'run.json'), run);
+    return run;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} stage
+   * @returns {any} the saved result, or undefined
+   */
+  loadStage(id, stage) {
+    return readJSON(path.join(this.runDir(id), 'stages', `${stage}.json`));
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} stage
+   * @param {any} result
+   */
+  saveStage(id, stage, result) {
+    writeJSON(path.join(this.runDir(id), 'stages', `${stage}.json`), result);
+
+    const run = this.get(id);
+    this.update(id, { stages: [...run.stages.filter(saved => saved !== stage), stage] });
+  }
+
+  /**
+   * Drop saved stage results that are out of date
+   * @param {string} id
+   * @param {string[]} stages
+   */
+  deleteStages(id, stages) {
+    const run = this.get(id);
+    if (!stages.some(stage => run.stages.includes(stage))) {
+      return;
+    }
+
+    for (const stage of stages) {
+      fs.rmSync(path.join(this.runDir(id), 'stages', `${stage}.json`), { force: true });
+    }
+    this.update(id, { stages: run.stages.filter(saved => !stages.includes(saved)) });
+  }
+}
+
+/**
+ * @param {string} file
+ * @returns {any}
+ */
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Write through a temp file so an interrupted run never leaves half a checkpoint
+ * @param {string} file
+ * @param {any} data
+ */
+function writeJSON(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Create the run store from RUNS_DIR
+ * @returns {RunStore}
+ */
+export function createRunStoreFromEnv() {
+  return new RunStore({ dir: process.env.RUNS_DIR });
+}
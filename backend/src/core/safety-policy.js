@@ -0,0 +1,78 @@
+/**
+ * What the pipeline does when SCO flags a safety issue
+ */
+
+/**
+ * warn: log and continue; block: fail the run before any output is compiled;
+ * auto-remediate: run the agents again with SCO's modified instructions
+ * @typedef {'warn' | 'block' | 'auto-remediate'} SafetyPolicy
+ */
+
+export const SAFETY_POLICIES = ['warn', 'block', 'auto-remediate'];
+
+/**
+ * @typedef {Object} InstructionChange
+ * @property {string} instruction - key in input.instructions
+ * @property {any} before
+ * @property {any} after
+ *
+ * @typedef {Object} SafetyRemediation
+ * @property {string | null} reason - the safety_reason that triggered it
+ * @property {InstructionChange[]} changes
+ */
+
+/**
+ * @param {string} [value] - defaults to SAFETY_POLICY, then 'warn'
+ * @returns {SafetyPolicy}
+ */
+export function resolveSafetyPolicy(value = process.env.SAFETY_POLICY) {
+  if (!value) {
+    return 'warn';
+  }
+  if (!SAFETY_POLICIES.includes(value)) {
+    throw new Error(`Unknown safety policy: ${value} (expected one of ${SAFETY_POLICIES.join(', ')})`);
+  }
+  return /** @type {SafetyPolicy} */ (value);
+}
+
+/**
+ * Error for a run stopped by the safety policy
+ * @param {import('./types.js').SCOResult} scoResult
+ * @param {string} [detail]
+ * @returns {Error & {code: 'SAFETY_BLOCKED', safety: Object}}
+ */
+export function safetyBlockedError(scoResult, detail) {
+  const reason = scoResult.safety_reason || 'unspecified safety issue';
+  const error = /** @type {any} */ (new Error(`Blocked by safety policy: ${reason}${detail ? ` (${detail})` : ''}`));
+  error.code = 'SAFETY_BLOCKED';
+  error.safety = {
+    safety_reason: scoResult.safety_reason,
+    copyright_risk: scoResult.copyright_risk,
+    personal_image_risk: scoResult.personal_image_risk,
+    deepfake_risk: scoResult.deepfake_risk,
+    safe_alternative: scoResult.safe_alternative ?? null,
+  };
+  return error;
+}
+
+/**
+ * Instructions that SCO's modified_instructions actually change
+ * @param {import('./types.js').Instructions} instructions
+ * @param {Record<string, any>} modified
+ * @returns {InstructionChange[]}
+ */
+export function diffInstructions(instructions, modified) {
+  return Object.entries(modified)
+    .filter(([key, value]) => JSON.stringify(instructions[key]) !== JSON.stringify(value))
+    .map(([key, value]) => ({ instruction: key, before: instructions[key] ?? null, after: value }));
+}
+
+/**
+ * @template {import('./types.js').VideoGenerationInput} T
+ * @param {T} input
+ * @param {Record<string, any>} modified
+ * @returns {T}
+ */
+export function applyModifiedInstructions(input, modified) {
+  return { ...input, instructions: { ...input.instructions, ...modified } };
+}
@@ -0,0 +1,170 @@
+/**
+ * Deterministic safety rules checked before the SCO agent, so the same
+ * input always gets the same compliance findings
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { isRemoteSource } from './asset-cache.js';
+
+/**
+ * @typedef {Object} SafetyRules
+ * @property {string[]} allowed_domains - when non-empty, remote assets must come from one of these (or a subdomain)
+ * @property {string[]} denied_domains - remote assets from these (or a subdomain) are flagged
+ * @property {boolean} require_audio_license - audio assets need `license` metadata (off by default)
+ * @property {string[]} banned_terms - flagged in captions and voiceover text (case-insensitive, whole words)
+ *
+ * @typedef {'denied_domain' | 'domain_not_allowed' | 'missing_license' | 'banned_term'} SafetyRuleId
+ *
+ * @typedef {Object} RuleFinding
+ * @property {SafetyRuleId} rule
+ * @property {string} subject - asset ID, `caption:<asset_id>` or `voiceover`
+ * @property {string} message
+ */
+
+/** @type {SafetyRules} */
+export const DEFAULT_SAFETY_RULES = {
+  allowed_domains: [],
+  denied_domains: [],
+  require_audio_license: false,
+  banned_terms: [],
+};
+
+// Rules whose findings are copyright problems
+const COPYRIGHT_RULES = new Set(['denied_domain', 'domain_not_allowed', 'missing_license']);
+
+/**
+ * Rules from SAFETY_RULES_FILE (JSON, same shape as DEFAULT_SAFETY_RULES), then
+ * SAFETY_ALLOWED_DOMAINS, SAFETY_DENIED_DOMAINS, SAFETY_BANNED_TERMS (comma-separated)
+ * and SAFETY_REQUIRE_AUDIO_LICENSE
+ * @returns {SafetyRules}
+ */
+export function loadSafetyRulesFromEnv() {
+  let rules = DEFAULT_SAFETY_RULES;
+
+  const file = process.env.SAFETY_RULES_FILE;
+  if (file) {
+    try {
+      rules = { ...rules, ...JSON.parse(fs.readFileSync(path.resolve(file), 'utf-8')) };
+    } catch (error) {
+      throw new Error(`Could not read SAFETY_RULES_FILE ${file}: ${error.message}`);
+    }
+  }
+
+  const list = value => value.split(',').map(entry => entry.trim()).filter(Boolean);
+  return {
+    ...rules,
+    ...(process.env.SAFETY_ALLOWED_DOMAINS && { allowed_domains: list(process.env.SAFETY_ALLOWED_DOMAINS) }),
+    ...(process.env.SAFETY_DENIED_DOMAINS && { denied_domains: list(process.env.SAFETY_DENIED_DOMAINS) }),
+    ...(process.env.SAFETY_BANNED_TERMS && { banned_terms: list(process.env.SAFETY_BANNED_TERMS) }),
+    ...(process.env.SAFETY_REQUIRE_AUDIO_LICENSE && {
+      require_audio_license: process.env.SAFETY_REQUIRE_AUDIO_LICENSE === 'true',
+    }),
+  };
+}
+
+/**
+ * Check the assets, captions and voiceover against the rules
+ * @param {import('./types.js').VideoGenerationInput} input
+ * @param {import('./types.js').CDResult} cdResult
+ * @param {SafetyRules} [rules]
+ * @returns {RuleFinding[]}
+ */
+export function checkSafetyRules(input, cdResult, rules = DEFAULT_SAFETY_RULES) {
+  /** @type {RuleFinding[]} */
+  const findings = [];
+
+  const sources = input.assets.map(asset => ({ subject: asset.id, src: asset.src }));
+  const voiceover = input.instructions.voiceover;
+  if (voiceover?.type === 'file' && voiceover.src) {
+    sources.push({ subject: 'voiceover', src: voiceover.src });
+  }
+
+  for (const { subject, src } of sources) {
+    if (!isRemoteSource(src)) {
+      continue;
+    }
+
+    const host = new URL(src).hostname.toLowerCase();
+    if (rules.denied_domains.some(domain => matchesDomain(host, domain))) {
+      findings.push({ rule: 'denied_domain', subject, message: `${subject} comes from denied domain ${host}` });
+    } else if (rules.allowed_domains.length > 0 && !rules.allowed_domains.some(domain => matchesDomain(host, domain))) {
+      findings.push({ rule: 'domain_not_allowed', subject, message: `${subject} comes from ${host}, which is not on the allow list` });
+    }
+  }
+
+  if (rules.require_audio_license) {
+    for (const asset of input.assets) {
+      if (asset.type === 'audio' && !asset.license) {
+        findings.push({ rule: 'missing_license', subject: asset.id, message: `Audio asset ${asset.id} has no license metadata` });
+      }
+    }
+  }
+
+  const texts = [
+    ...(cdResult.captions || []).map(caption => ({ subject: `caption:${caption.asset_id}`, text: caption.text })),
+    ...(cdResult.per_image || [])
+      .filter(image => image.caption)
+      .map(image => ({ subject: `caption:${image.asset_id}`, text: image.caption })),
+    ...(voiceover?.text ? [{ subject: 'voiceover', text: voiceover.text }] : []),
+  ];
+
+  for (const term of rules.banned_terms) {
+    const pattern = new RegExp(`(^|\\W)${escapeRegExp(term)}(\\W|$)`, 'i');
+    const flagged = new Set(texts.filter(({ text }) => pattern.test(text)).map(({ subject }) => subject));
+    for (const subject of flagged) {
+      findings.push({ rule: 'banned_term', subject, message: `${subject} contains banned term "${term}"` });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Fold rule findings into the SCO result: any finding is a safety issue,
+ * whatever the LLM concluded
+ * @param {import('./types.js').SCOResult} scoResult
+ * @param {RuleFinding[]} findings
+ * @returns {import('./types.js').SCOResult}
+ */
+export function mergeRuleFindings(scoResult, findings) {
+  if (findings.length === 0) {
+    return { ...scoResult, rule_findings: [] };
+  }
+
+  return {
+    ...scoResult,
+    safety_issue: true,
+    safety_reason: [scoResult.safety_reason, ...findings.map(finding => finding.message)].filter(Boolean).join('; '),
+    copyright_risk: scoResult.copyright_risk || findings.some(finding => COPYRIGHT_RULES.has(finding.rule)),
+    rule_findings: findings,
+  };
+}
+
+/**
+ * Findings that no change to the instructions can clear: they are about the assets'
+ * sources and licences. A voiceover file's source is an instruction, so it can change.
+ * @param {RuleFinding[]} [findings]
+ * @returns {RuleFinding[]}
+ */
+export function findingsOutsideInstructions(findings = []) {
+  return findings.filter(finding => COPYRIGHT_RULES.has(finding.rule) && finding.subject !== 'voiceover');
+}
+
+/**
+ * @param {string} host
+ * @param {string} domain
+ * @returns {boolean}
+ */
+function matchesDomain(host, domain) {
+  const normalized = domain.toLowerCase().replace(/^\*?\./, '');
+  return host === normalized || host.endsWith(`.${normalized}`);
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
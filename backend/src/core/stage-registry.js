@@ -0,0 +1,189 @@
+/**
+ * Ordered pipeline stages and the results they pass to each other
+ */
+
+// Stage names become checkpoint file names
+const STAGE_NAME = /^[A-Za-z][\w-]*$/;
+
+/**
+ * @typedef {Object} StageDefinition
+ * @property {string} name - used for events, checkpoints, overrides and re-runs
+ * @property {string[]} inputs - result keys it reads; each must be produced by an earlier stage
+ * @property {string | string[]} result - key it produces; with several keys, `run` returns an object holding each of them.
+ *   A key produced again by a later stage is replaced for the stages after it.
+ * @property {(input: import('./types.js').VideoGenerationInput, results: Record<string, any>) => any} run -
+ *   receives the project input (with the stage's input overrides) and the results named in `inputs`
+ * @property {import('zod').ZodTypeAny} [schema] - the result must satisfy it; also checked after output overrides
+ * @property {boolean} [checkpoint] - false recomputes the stage on every resume (default true)
+ * @property {number} [progress] - reported when the stage starts (0-1); defaults to the previous stage's
+ *
+ * @typedef {Object} StagePosition
+ * @property {string} [before] - insert before this stage
+ * @property {string} [after] - insert after this stage (default: after the last stage)
+ */
+
+export class StageRegistry {
+  /**
+   * @param {StageDefinition[]} [stages] - in pipeline order
+   */
+  constructor(stages = []) {
+    /** @type {StageDefinition[]} */
+    this.stages = validateStages(stages);
+  }
+
+  /**
+   * @returns {StageDefinition[]} in pipeline order
+   */
+  list() {
+    return [...this.stages];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {StageDefinition | undefined}
+   */
+  get(name) {
+    return this.stages.find(stage => stage.name === name);
+  }
+
+  /**
+   * Insert a new stage
+   * @param {StageDefinition} definition
+   * @param {StagePosition} [position]
+   * @returns {this}
+   * @throws {Error} with code 'INVALID_STAGE'
+   */
+  add(definition, position = {}) {
+    if (this.get(definition.name)) {
+      throw invalidStage(`Stage ${definition.name} already exists; replace it instead`);
+    }
+
+    const anchor = position.before ?? position.after;
+    const index = anchor === undefined ? this.stages.length : this.indexOf(anchor) + (position.before ? 0 : 1);
+    const stages = [...this.stages];
+    stages.splice(index, 0, definition);
+    this.stages = validateStages(stages);
+    return this;
+  }
+
+  /**
+   * Swap a stage for another definition in the same position. Later stages
+   * still expect the old result shape, so a replacement producing the same
+   * result keeps the old schema unless it declares its own.
+   * @param {string} name
+   * @param {Omit<StageDefinition, 'name'> & {name?: string}} definition - keeps `name` when it has none
+   * @returns {this}
+   * @throws {Error} with code 'INVALID_STAGE'
+   */
+  replace(name, definition) {
+    const index = this.indexOf(name);
+    const current = this.stages[index];
+    const sameResult = resultKeys(current).join() === [definition.result].flat().join();
+
+    const stages = [...this.stages];
+    stages[index] = { name, ...(sameResult && { schema: current.schema }), ...definition };
+    this.stages = validateStages(stages);
+    return this;
+  }
+
+  /**
+   * Which stage each input of a stage comes from: the closest earlier stage producing it
+   * @param {string} name
+   * @returns {Record<string, string>} stage name by input key
+   */
+  producersOf(name) {
+    const index = this.indexOf(name);
+    return Object.fromEntries(this.stages[index].inputs.map(key => [
+      key,
+      this.stages.slice(0, index).findLast(stage => resultKeys(stage).includes(key)).name,
+    ]));
+  }
+
+  /**
+   * Stages whose results a stage reads
+   * @param {string} name
+   * @returns {string[]}
+   */
+  dependenciesOf(name) {
+    return [...new Set(Object.values(this.producersOf(name)))];
+  }
+
+  /**
+   * Stages that read a stage's result, directly or through other stages
+   * @param {string} name
+   * @returns {string[]}
+   */
+  dependentsOf(name) {
+    const dependents = new Set();
+    for (const stage of this.stages.slice(this.indexOf(name) + 1)) {
+      if (this.dependenciesOf(stage.name).some(dependency => dependency === name || dependents.has(dependency))) {
+        dependents.add(stage.name);
+      }
+    }
+    return [...dependents];
+  }
+
+  /**
+   * @param {string} name
+   * @returns {number}
+   * @throws {Error} with code 'INVALID_STAGE'
+   */
+  indexOf(name) {
+    const index = this.stages.findIndex(stage => stage.name === name);
+    if (index === -1) {
+      throw invalidStage(`Unknown stage: ${name} (expected one of ${this.stages.map(stage => stage.name).join(', ')})`);
+    }
+    return index;
+  }
+}
+
+/**
+ * @param {StageDefinition} stage
+ * @returns {string[]}
+ */
+export function resultKeys(stage) {
+  return Array.isArray(stage.result) ? stage.result : [stage.result];
+}
+
+/**
+ * Check names are unique and every input is produced by an earlier stage
+ * @param {StageDefinition[]} stages
+ * @returns {StageDefinition[]}
+ * @throws {Error} with code 'INVALID_STAGE'
+ */
+function validateStages(stages) {
+  const produced = new Set();
+  const names = new Set();
+
+  for (const stage of stages) {
+    if (!STAGE_NAME.test(stage.name || '')) {
+      throw invalidStage(`Invalid stage name: ${stage.name}`);
+    }
+    if (names.has(stage.name)) {
+      throw invalidStage(`Duplicate stage: ${stage.name}`);
+    }
+    if (typeof stage.run !== 'function' || !stage.result || !Array.isArray(stage.inputs)) {
+      throw invalidStage(`Stage ${stage.name} needs inputs, result and run`);
+    }
+
+    const missing = stage.inputs.filter(key => !produced.has(key));
+    if (missing.length > 0) {
+      throw invalidStage(`Stage ${stage.name} reads ${missing.join(', ')}, which no earlier stage produces`);
+    }
+
+    names.add(stage.name);
+    resultKeys(stage).forEach(key => produced.add(key));
+  }
+
+  return stages;
+}
+
+/**
+ * @param {string} message
+ * @returns {Error & {code: 'INVALID_STAGE'}}
+ */
+function invalidStage(message) {
+  const error = /** @type {any} */ (new Error(message));
+  error.code = 'INVALID_STAGE';
+  return error;
+}
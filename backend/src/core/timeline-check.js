@@ -0,0 +1,164 @@
+/**
+ * Consistency checks and deterministic fixes for VE's timeline
+ */
+
+// Differences this small are rounding, not errors (about a frame at 25 fps)
+const TIMING_TOLERANCE_MS = 40;
+
+// How far the video may end from instructions.target_duration
+const TARGET_TOLERANCE_MS = 500;
+
+// Image segments are not shortened below this to reach the target
+const MIN_IMAGE_SEGMENT_MS = 500;
+
+/**
+ * @typedef {Object} TimelineCheckResult
+ * @property {import('./types.js').CVAResult} cvaResult - with total_duration matching the timeline
+ * @property {import('./types.js').VEResult} veResult - contiguous timeline in CVA segment order
+ * @property {string[]} corrections - one line per fix (or unfixable problem), for assumptions
+ */
+
+/**
+ * Make the timeline follow CVA's segments: one event per segment with a known
+ * asset, in segment order, with CVA's durations, back to back from 0 ms, and
+ * (when it can be done by stretching or shrinking images) ending at target_duration.
+ * @param {import('./types.js').VideoGenerationInput} input
+ * @param {import('./types.js').CVAResult} cvaResult
+ * @param {import('./types.js').VEResult} veResult
+ * @returns {TimelineCheckResult}
+ * @throws {Error} with code 'TIMELINE_INVALID' when no segment can be rendered
+ */
+export function checkTimeline(input, cvaResult, veResult) {
+  /** @type {string[]} */
+  const corrections = [];
+  const assets = new Map(input.assets.map(asset => [asset.id, asset]));
+  const segments = [...cvaResult.structure.segments].sort((a, b) => a.order - b.order);
+
+  const playable = segments.filter(segment => {
+    if (assets.has(segment.asset_id)) {
+      return true;
+    }
+    corrections.push(`Timeline: dropped segment ${segment.id}, which references unknown asset ${segment.asset_id}`);
+    return false;
+  });
+  if (playable.length === 0) {
+    const error = new Error('Timeline has no segment with a known asset');
+    error.code = 'TIMELINE_INVALID';
+    throw error;
+  }
+
+  /** @type {Map<string, import('./types.js').TimelineEvent>} */
+  const events = new Map();
+  for (const event of veResult.timeline) {
+    if (!segments.some(segment => segment.id === event.segment_id)) {
+      corrections.push(`Timeline: dropped event for unknown segment ${event.segment_id}`);
+    } else if (events.has(event.segment_id)) {
+      corrections.push(`Timeline: dropped duplicate event for ${event.segment_id}`);
+    } else {
+      events.set(event.segment_id, event);
+    }
+  }
+
+  const planned = playable.map(segment => segment.id).filter(id => events.has(id));
+  const actual = [...events.values()]
+    .filter(event => planned.includes(event.segment_id))
+    .sort((a, b) => a.start_ms - b.start_ms)
+    .map(event => event.segment_id);
+  if (actual.join() !== planned.join()) {
+    corrections.push('Timeline: reordered events to follow the CVA segment order');
+  }
+
+  let previousEnd = null;
+  const timeline = playable.map(segment => {
+    const plannedMs = Math.round(segment.duration * 1000);
+    const event = events.get(segment.id);
+
+    if (!event) {
+      corrections.push(`Timeline: added missing event for ${segment.id} (${segment.duration}s from CVA)`);
+      return { segment_id: segment.id, transform: {}, duration_ms: plannedMs };
+    }
+
+    const durationMs = event.end_ms - event.start_ms;
+    if (durationMs <= 0) {
+      corrections.push(`Timeline: ${segment.id} had a ${durationMs}ms duration; used CVA's ${segment.duration}s`);
+    } else if (Math.abs(durationMs - plannedMs) > TIMING_TOLERANCE_MS) {
+      corrections.push(`Timeline: ${segment.id} lasted ${durationMs}ms instead of CVA's ${plannedMs}ms; used CVA's duration`);
+    }
+
+    if (previousEnd !== null && Math.abs(event.start_ms - previousEnd) > TIMING_TOLERANCE_MS) {
+      corrections.push(event.start_ms > previousEnd
+        ? `Timeline: closed a ${event.start_ms - previousEnd}ms gap before ${segment.id}`
+        : `Timeline: removed a ${previousEnd - event.start_ms}ms overlap before ${segment.id}`);
+    }
+    previousEnd = event.end_ms;
+
+    const { start_ms, end_ms, ...rest } = event;
+    return { ...rest, duration_ms: plannedMs };
+  });
+
+  const target = input.instructions.target_duration;
+  if (target !== undefined) {
+    fitToTarget(timeline, Math.round(target * 1000), segmentId => {
+      const segment = playable.find(s => s.id === segmentId);
+      return assets.get(segment.asset_id).type === 'image';
+    }, corrections);
+  }
+
+  // Lay the events back to back from 0 ms
+  let cursor = 0;
+  const laidOut = timeline.map(({ duration_ms, ...event }) => {
+    const placed = { ...event, start_ms: cursor, end_ms: cursor + duration_ms };
+    cursor += duration_ms;
+    return placed;
+  });
+
+  const totalDuration = cursor / 1000;
+  if (Math.abs(cvaResult.structure.total_duration * 1000 - cursor) > TIMING_TOLERANCE_MS) {
+    corrections.push(`Timeline: total_duration corrected from ${cvaResult.structure.total_duration}s to ${totalDuration}s`);
+  }
+
+  return {
+    cvaResult: { ...cvaResult, structure: { ...cvaResult.structure, total_duration: totalDuration } },
+    veResult: { ...veResult, timeline: laidOut },
+    corrections,
+  };
+}
+
+/**
+ * Stretch or shrink image segments proportionally so the timeline ends at the
+ * target. Video segments keep their (clip-limited) length.
+ * @param {Array<{segment_id: string, duration_ms: number}>} timeline - durations are updated in place
+ * @param {number} targetMs
+ * @param {(segmentId: string) => boolean} isImage
+ * @param {string[]} corrections
+ */
+function fitToTarget(timeline, targetMs, isImage, corrections) {
+  const totalMs = timeline.reduce((sum, event) => sum + event.duration_ms, 0);
+  if (Math.abs(totalMs - targetMs) <= TARGET_TOLERANCE_MS) {
+    return;
+  }
+
+  const images = timeline.filter(event => isImage(event.segment_id));
+  const imageMs = images.reduce((sum, event) => sum + event.duration_ms, 0);
+  const scaledImageMs = imageMs + targetMs - totalMs;
+  const scale = imageMs > 0 ? scaledImageMs / imageMs : 0;
+
+  if (images.length === 0 || images.some(event => event.duration_ms * scale < MIN_IMAGE_SEGMENT_MS)) {
+    corrections.push(
+      `Timeline: runs ${totalMs / 1000}s but target_duration is ${targetMs / 1000}s; image segments cannot absorb the difference`
+    );
+    return;
+  }
+
+  let assigned = 0;
+  images.forEach((event, index) => {
+    // The last image takes the rounding remainder so the total lands exactly on target
+    event.duration_ms = index === images.length - 1
+      ? scaledImageMs - assigned
+      : Math.round(event.duration_ms * scale);
+    assigned += event.duration_ms;
+  });
+  corrections.push(
+    `Timeline: scaled image segments by ${scale.toFixed(3)} to match target_duration ${targetMs / 1000}s (was ${totalMs / 1000}s)`
+  );
+}
@@ -1,7 +1,7 @@
 /**
  * Type definitions for the video generation multi-agent system
  * 
- * @typedef {'openai' | 'anthropic' | 'ollama'} LLMProvider
+ * @typedef {'openai' | 'openai-compatible' | 'anthropic' | 'ollama' | 'replay'} LLMProvider
  * 
  * @typedef {Object} LLMConfig
  * @property {LLMProvider} provider
@@ -9,6 +9,15 @@
  * @property {string} [model]
  * @property {number} [temperature]
  * @property {number} [maxTokens]
+ * @property {number} [maxRetries] - retries for rate limits, overloads, timeouts and connection errors (default 3)
+ * @property {number} [timeoutMs] - per-request timeout (default 120000)
+ * @property {number} [retryBaseMs] - first backoff delay, doubled on each retry (default 1000)
+ * @property {string} [baseUrl] - Ollama or OpenAI-compatible server URL
+ * @property {string} [apiKeyHeader] - header carrying apiKey for openai-compatible servers (default: Authorization: Bearer)
+ * @property {Record<string, string>} [headers] - extra headers for openai-compatible servers
+ * @property {string} [fixturesDir] - recorded responses served by the replay provider
+ * @property {string} [recordDir] - save every live response here as a replay fixture
+ * @property {import('./llm-cache.js').LLMResponseCache} [cache] - reuse responses to identical requests
  * 
  * @typedef {Object} VideoSettings
  * @property {string} resolution
@@ -17,16 +26,42 @@
  * @property {string} codec
  * @property {number} crf
  * 
+ * @typedef {Object} AssetMetadata
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {'landscape' | 'portrait' | 'square'} [orientation]
+ * @property {number} [duration] - seconds
+ * @property {number} audio_channels
+ * @property {number} [sample_rate]
+ * 
  * @typedef {Object} Asset
  * @property {string} id
  * @property {'image' | 'audio' | 'video'} type
- * @property {string} src
+ * @property {string} src - http(s) URL, file:// URL, or absolute/relative path
+ * @property {string} [sha256] - expected content checksum
+ * @property {string} [local_path] - local copy used for probing and rendering
+ * @property {number} [duration] - source length in seconds (video/audio)
+ * @property {number} [trim_start] - video in point in seconds
+ * @property {number} [trim_end] - video out point in seconds
+ * @property {number} [speed] - video playback speed (1 = normal)
+ * @property {boolean} [mute] - drop the video clip's own audio
+ * @property {number} [weight] - share of target_duration for an image under the rules planner (default 1)
+ * @property {AssetMetadata} [metadata] - filled by ffprobe before the agents run
+ * @property {string | AssetLicense} [license] - required for audio assets when SAFETY_REQUIRE_AUDIO_LICENSE=true
+ * 
+ * @typedef {Object} AssetLicense
+ * @property {string} name - e.g. CC-BY-4.0 or a stock library licence
+ * @property {string} [url]
+ * @property {string} [attribution]
  * 
  * @typedef {Object} Voiceover
  * @property {'tts' | 'file'} type
  * @property {string} [language]
  * @property {string} [text]
  * @property {string} [src]
+ * @property {string} [sha256]
+ * @property {string} [local_path]
+ * @property {number} [duration] - measured length of a voiceover file in seconds
  * 
  * @typedef {Object} Instructions
  * @property {string} [style]
@@ -78,10 +113,23 @@
  * @property {number} ducking.target_volume
  * @property {number} ducking.fade_duration
  * 
+ * @typedef {Object} LoudnessMeasurement
+ * @property {number} integrated_lufs
+ * @property {number} true_peak
+ * @property {number} lra
+ * @property {number} threshold
+ * 
+ * @typedef {Object} LoudnessReport
+ * @property {number} target_lufs
+ * @property {LoudnessMeasurement} input
+ * @property {LoudnessMeasurement} [output]
+ * @property {string} [normalization_type]
+ * 
  * @typedef {Object} AudioMix
  * @property {AudioTrack[]} tracks
  * @property {number} master_volume
  * @property {number} [target_lufs]
+ * @property {LoudnessReport} [loudness]
  * 
  * @typedef {Object} Subtitle
  * @property {string} id
@@ -97,6 +145,7 @@
  * @typedef {Object} FFmpegCommand
  * @property {string} command
  * @property {string} description
+ * @property {string} [capture] - key under which the executor stores JSON printed by the command
  * 
  * @typedef {Object} ReactTimeline
  * @property {Array<{id: string, start: number, end: number, asset: string, transforms: any, caption?: string}>} segments
@@ -117,7 +166,11 @@
  * @property {string[]} assumptions
  * @property {boolean} safety_issue
  * @property {string | null} safety_reason
+ * @property {import('./safety-rules.js').RuleFinding[]} [safety_findings] - deterministic rule findings behind safety_issue
  * @property {number} total_duration
+ * @property {string} [run_id] - checkpointed run; pass it as `resume` to continue a failed run
+ * @property {import('./safety-policy.js').SafetyRemediation} [safety_remediation] - instructions changed by SAFETY_POLICY=auto-remediate
+ * @property {import('./run-stats.js').RunStatsReport} [run_stats] - LLM usage and estimated cost per agent
  * 
  * @typedef {Object} FinalOutput
  * @property {VideoGenerationOutput} json_output
@@ -159,10 +212,14 @@
  * @property {Object} [safe_alternative]
  * @property {Instructions} [safe_alternative.modified_instructions]
  * @property {string[]} [safe_alternative.warnings]
+ * @property {import('./safety-rules.js').RuleFinding[]} [rule_findings] - from the rules engine; any finding sets safety_issue
  * 
  * @typedef {Object} OCResult
  * @property {VideoGenerationOutput} output
  * @property {string} human_summary
+ *
+ * @typedef {Object} JudgeResult
+ * @property {Array<{variant: number, score: number, reason: string}>} rankings - score 0-10 per candidate plan
  */
 
 // Export empty object to maintain module structure
@@ -3,6 +3,7 @@
  */
 
 import { z } from 'zod';
+import { isValidSource } from './asset-cache.js';
 
 // Video settings schema
 const VideoSettingsSchema = z.object({
@@ -17,8 +18,22 @@ const VideoSettingsSchema = z.object({
 const AssetSchema = z.object({
   id: z.string(),
   type: z.enum(['image', 'audio', 'video']),
-  src: z.string().url(),
-});
+  src: z.string().refine(isValidSource, 'src must be an http(s) or file:// URL, or a local path'),
+  sha256: z.string().regex(/^[a-fA-F0-9]{64}$/).optional(),
+  duration: z.number().positive().optional(),
+  trim_start: z.number().nonnegative().optional(),
+  trim_end: z.number().positive().optional(),
+  speed: z.number().min(0.25).max(4).optional(),
+  mute: z.boolean().optional(),
+  weight: z.number().positive().optional(),
+  license: z.union([
+    z.string().min(1),
+    z.object({ name: z.string().min(1), url: z.string().optional(), attribution: z.string().optional() }),
+  ]).optional(),
+}).refine(
+  asset => asset.trim_end === undefined || asset.trim_end > (asset.trim_start || 0),
+  { message: 'trim_end must be after trim_start', path: ['trim_end'] }
+);
 
 // Voiceover schema
 const VoiceoverSchema = z.object({
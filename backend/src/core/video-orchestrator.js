@@ -1,16 +1,49 @@
 /**
- * Video structure generation orchestrator with automatic repair/retry
+ * Schema-validated LLM generation with automatic repair/retry
  */
 
 import { LLMClient } from './llm-client.js';
 import { SYSTEM_PROMPT, buildUserPrompt } from '../prompts/video-architecture.js';
 import { RootSchema } from '../schemas/video-structure.schema.js';
 
+const DEFAULT_REPAIR_ATTEMPTS = 3;
+
+/**
+ * @typedef {Object} GenerateValidatedOptions
+ * @property {string} prompt
+ * @property {string} systemPrompt
+ * @property {string} [agent] - agent making the call (CVA, CD, …)
+ * @property {import('zod').ZodTypeAny} schema
+ * @property {string} label - what is being generated, used in errors and logs
+ * @property {number} [maxAttempts]
+ */
+
 /**
- * Helper that builds a repair prompt containing the model's last output
- * and the validation error so the model knows exactly what to fix.
+ * Resolve how many attempts an agent gets: explicit override,
+ * then REPAIR_ATTEMPTS_<AGENT>, then REPAIR_ATTEMPTS, then the default
+ * @param {string} agent - CVA, CD, VE, AE or SCO
+ * @param {Record<string, number>} [overrides]
+ * @returns {number}
  */
-function buildRepairPrompt(rawOutput, validationError) {
+export function getRepairAttempts(agent, overrides = {}) {
+  const configured = overrides[agent]
+    ?? process.env[`REPAIR_ATTEMPTS_${agent}`]
+    ?? process.env.REPAIR_ATTEMPTS;
+  const attempts = parseInt(configured, 10);
+
+  return attempts >= 1 ? attempts : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+/**
+ * Helper that builds a repair prompt containing the original request, the
+ * model's last output and the validation error so the model knows exactly
+ * what to fix and still has everything it needs to produce the whole result.
+ * @param {string} originalPrompt
+ * @param {string} rawOutput
+ * @param {string} validationError
+ * @returns {string}
+ */
+function buildRepairPrompt(originalPrompt, rawOutput, validationError) {
   // Extract the specific error message
   let specificError = validationError;
   
@@ -27,73 +60,71 @@ COMMON FIXES:
 - Check that the last segment object closes with } before the array closes with ]`;
   }
   
-  return `The JSON you returned is not valid.
+  return `The JSON you returned for the request below is not valid.
+
+**Original request**
+
+${originalPrompt}
 
 **Your output**
 
 \`\`\`
-${rawOutput.substring(0, 1500)}
+${rawOutput}
 \`\`\`
 
 **Error**
 
 ${specificError}
 
-**CRITICAL**: Please rewrite the ENTIRE JSON object from scratch. Make absolutely sure:
-1. Every object in the segments array has a closing brace } before the array closes
+**CRITICAL**: Output the ENTIRE corrected JSON object for the original request, keeping everything in your output that was already right. Make absolutely sure:
+1. Every object in an array has a closing brace } before the array closes
 2. All properties are separated by commas
 3. The JSON is valid and can be parsed by JSON.parse()
 4. Output ONLY the JSON - no markdown, no code fences, no explanations`;
 }
 
 /**
- * Main entry point – returns a fully‑validated video‑structure object.
+ * Ask the model for JSON and validate it against a schema, sending the
+ * validation errors back until it passes or attempts run out.
  *
+ * @template T
  * @param {LLMClient} client - an instance of LLMClient (already configured)
- * @param {import('./types.js').VideoGenerationInput} input - the video generation input
- * @param {number} maxAttempts - how many times we will ask the model to repair
- * @returns {Promise<import('./types.js').CVAResult>}
+ * @param {GenerateValidatedOptions} options
+ * @returns {Promise<T>}
  */
-export async function generateVideoStructure(
-  client,
-  input,
-  maxAttempts = 3
-) {
-  // --- 1️⃣ first request -------------------------------------------------
-  let userPrompt = buildUserPrompt(input);
-  let rawResponse = await client.generate(userPrompt, SYSTEM_PROMPT);
+export async function generateValidated(client, options) {
+  const { prompt, systemPrompt, agent, schema, label } = options;
+  const maxAttempts = options.maxAttempts || DEFAULT_REPAIR_ATTEMPTS;
+
+  let currentPrompt = prompt;
   let attempt = 1;
 
   while (true) {
     try {
-      // --- 2️⃣ extract *only* the JSON (your LLMClient already ships with a giant helper)
+      // --- 1️⃣ native structured output, parsed and validated by the client
+      const response = await client.generateJSON(currentPrompt, systemPrompt, schema, { agent });
+
+      // ---- SUCCESS ---------------------------------------------------------
+      return response.data; // <-- fully validated, ready for the rest of the pipeline
+    } catch (e) {
+      // Provider and network errors are not something the model can repair
+      if (e.content === undefined) {
+        throw e;
+      }
+
       // Log raw response for debugging (first 500 chars)
       if (attempt === 1) {
-        console.log('📝 Raw LLM response (first 500 chars):', rawResponse.content.substring(0, 500));
-      }
-      const jsonObj = LLMClient.parseJSON(rawResponse.content);
-
-      // --- 3️⃣ schema validation -------------------------------------------------
-      const result = RootSchema.safeParse(jsonObj);
-      if (!result.success) {
-        // Validation failed → throw so the catch block will ask for a repair
-        const why = result.error.issues
-          .map((i) => `${i.path.join('.')} – ${i.message}`)
-          .join('; ');
-        throw new Error(`Schema validation failed: ${why}`);
+        console.log(`📝 Raw ${label} response (first 500 chars):`, e.content.substring(0, 500));
       }
 
-      // ---- SUCCESS ---------------------------------------------------------
-      return result.data; // <-- fully validated, ready for the rest of the pipeline
-    } catch (e) {
       // -----------------------------------------------------------------
       // If we're out of attempts we bail out with a helpful error.
       // -----------------------------------------------------------------
       if (attempt >= maxAttempts) {
         throw new Error(
-          `Could not obtain a valid video structure after ${maxAttempts} attempts.\n` +
+          `Could not obtain a valid ${label} after ${maxAttempts} attempts.\n` +
             `Last error: ${e.message}\n` +
-            `Last LLM output (truncated): ${rawResponse.content.slice(0, 500)}`
+            `Last LLM output (truncated): ${e.content.slice(0, 500)}`
         );
       }
 
@@ -101,18 +132,36 @@ export async function generateVideoStructure(
       // Otherwise we ask the model to **repair** the JSON.
       // -----------------------------------------------------------------
       console.warn(
-        `⚠️  Attempt ${attempt} failed (${e.message}). Asking LLM to fix…`
-      );
-
-      const repairPrompt = buildRepairPrompt(
-        rawResponse.content,
-        e.message
+        `⚠️  ${label} attempt ${attempt} failed (${e.message}). Asking LLM to fix…`
       );
+      client.emit('retry', { attempt, max_attempts: maxAttempts, error: e.message });
 
       // Note: we keep the same system prompt – it already contains the schema rules.
-      rawResponse = await client.generate(repairPrompt, SYSTEM_PROMPT);
+      currentPrompt = buildRepairPrompt(prompt, e.content, e.message);
       attempt++;
     }
   }
 }
 
+/**
+ * Main entry point – returns a fully‑validated video‑structure object.
+ *
+ * @param {LLMClient} client - an instance of LLMClient (already configured)
+ * @param {import('./types.js').VideoGenerationInput} input - the video generation input
+ * @param {number} maxAttempts - how many times we will ask the model to repair
+ * @returns {Promise<import('./types.js').CVAResult>}
+ */
+export async function generateVideoStructure(
+  client,
+  input,
+  maxAttempts = DEFAULT_REPAIR_ATTEMPTS
+) {
+  return generateValidated(client, {
+    prompt: buildUserPrompt(input),
+    systemPrompt: SYSTEM_PROMPT,
+    agent: 'CVA',
+    schema: RootSchema,
+    label: 'video structure',
+    maxAttempts,
+  });
+}
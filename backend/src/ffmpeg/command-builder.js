@@ -5,6 +5,82 @@
 
 import * as path from 'path';
 import * as fs from 'fs';
+import { clipHasAudio } from '../core/assets.js';
+
+/**
+ * Transition names planned by CD/VE (normalized: lowercase, no separators)
+ * mapped to FFmpeg xfade transitions
+ */
+const XFADE_TRANSITIONS = {
+  fade: 'fade',
+  crossfade: 'fade',
+  xfade: 'fade',
+  dissolve: 'dissolve',
+  crossdissolve: 'dissolve',
+  fadeblack: 'fadeblack',
+  fadetoblack: 'fadeblack',
+  diptoblack: 'fadeblack',
+  fadewhite: 'fadewhite',
+  fadetowhite: 'fadewhite',
+  wipe: 'wipeleft',
+  wipeleft: 'wipeleft',
+  wiperight: 'wiperight',
+  wipeup: 'wipeup',
+  wipedown: 'wipedown',
+  slide: 'slideleft',
+  slideleft: 'slideleft',
+  slideright: 'slideright',
+  slideup: 'slideup',
+  slidedown: 'slidedown',
+  circleopen: 'circleopen',
+  circleclose: 'circleclose',
+  zoomin: 'zoomin',
+};
+
+// Transition names that explicitly ask for a hard cut
+const CUT_TRANSITIONS = new Set(['', 'cut', 'hardcut', 'none']);
+
+// Used when VE plans a transition without duration_ms
+const DEFAULT_TRANSITION_MS = 500;
+
+// EBU R128 loudnorm limits used alongside AudioMix.target_lufs
+const LOUDNORM_TRUE_PEAK = -1.5;
+const LOUDNORM_LRA = 11;
+
+/**
+ * Quote a value for the POSIX shell the executor runs commands in. Paths and
+ * names come from requests and agents, so every one is quoted.
+ * @param {string | number} value
+ * @returns {string}
+ */
+export function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Resolution, fps and crf go into filters and arguments as numbers, so anything else is refused
+ * @param {import('../core/types.js').VideoSettings} settings
+ * @throws {Error} when one of them is not a plain number (resolution: WIDTHxHEIGHT)
+ */
+function assertNumericVideoSettings(settings) {
+  const invalid = [
+    !/^\d+x\d+$/.test(String(settings.resolution)) && 'resolution',
+    !(Number.isFinite(settings.fps) && settings.fps > 0) && 'fps',
+    !(Number.isInteger(settings.crf) && settings.crf >= 0 && settings.crf <= 51) && 'crf',
+  ].filter(Boolean);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid video_settings ${invalid.join(', ')}: ${JSON.stringify(settings)}`);
+  }
+}
+
+/**
+ * @typedef {Object} SegmentPlan
+ * @property {import('../core/types.js').TimelineEvent} event
+ * @property {number} render_start_ms - when the segment first becomes visible
+ * @property {number} duration - rendered segment length in seconds (includes transition overlap)
+ * @property {{name: string, start_ms: number, duration_ms: number} | null} transition - transition into the next segment
+ * @property {string} [fallback] - unknown transition type that was replaced with a hard cut
+ */
 
 export class FFmpegCommandBuilder {
   /**
@@ -21,64 +97,86 @@ export class FFmpegCommandBuilder {
   /**
    * Build FFmpeg commands from video generation output
    * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @param {import('../core/types.js').Voiceover} [voiceover] - the input's voiceover, whose cached copy the mix uses
    * @returns {import('../core/types.js').FFmpegCommand[]}
    */
-  buildCommands(output) {
+  buildCommands(output, voiceover) {
+    assertNumericVideoSettings(output.video_settings);
     const commands = [];
 
-    // Step 1: Process each segment with Ken Burns effects
-    const segmentCommands = this.buildSegmentCommands(output);
-    commands.push(...segmentCommands);
+    // Step 1: Plan transitions so segments are rendered with the overlap xfade needs
+    const plan = this.planTransitions(output);
 
-    // Step 2: Create transition effects
-    const transitionCommands = this.buildTransitionCommands(output);
-    commands.push(...transitionCommands);
+    // Step 2: Process each segment with Ken Burns effects
+    const segmentCommands = this.buildSegmentCommands(output, plan);
+    commands.push(...segmentCommands);
 
-    // Step 3: Concatenate segments
-    const concatCommand = this.buildConcatCommand(output);
+    // Step 3: Concatenate segments with transitions
+    const concatCommand = this.buildConcatCommand(output, plan);
     commands.push(concatCommand);
 
     // Step 4: Add audio tracks with ducking
-    const audioCommand = this.buildAudioCommand(output);
+    const audioCommand = this.buildAudioCommand(output, voiceover);
     commands.push(audioCommand);
 
-    // Step 5: Add subtitles
+    // Step 5: Normalize loudness of the final mix (measurement + corrective pass)
+    commands.push(...this.buildLoudnessCommands(output));
+
+    // Step 6: Add subtitles
     const subtitleCommand = this.buildSubtitleCommand(output);
     if (subtitleCommand) {
       commands.push(subtitleCommand);
     }
 
-    // Step 6: Final encoding
+    // Step 7: Final encoding
     const finalCommand = this.buildFinalCommand(output);
     commands.push(finalCommand);
 
     return commands;
   }
 
+  /**
+   * Describe the transitions buildCommands renders differently than planned, for assumptions
+   * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @returns {string[]}
+   */
+  transitionNotes(output) {
+    return this.planTransitions(output)
+      .filter(entry => entry.fallback)
+      .map(entry => `Unknown transition "${entry.fallback}" after segment ${entry.event.segment_id} replaced with a hard cut`);
+  }
+
   /**
    * Build commands to process individual segments with Ken Burns
    * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @param {SegmentPlan[]} [plan]
    * @returns {import('../core/types.js').FFmpegCommand[]}
    */
-  buildSegmentCommands(output) {
+  buildSegmentCommands(output, plan = this.planTransitions(output)) {
     const commands = [];
+    const withAudio = this.hasClipAudio(output);
+    const { fps } = output.video_settings;
+    // Segments without their own sound get a silent track so clip audio can be joined
+    const silence = withAudio ? ' -f lavfi -i anullsrc=channel_layout=stereo:sample_rate=48000' : '';
+    const audioCodec = withAudio ? '-c:a aac -ar 48000' : '-an';
+
+    for (const { event, duration } of plan) {
+      const asset = this.findSegmentAsset(output, event);
+      const outputFile = path.join(this.outputDir, `segment_${event.segment_id}.mp4`);
 
-    for (const event of output.timeline) {
-      const asset = output.assets.find(a => {
-        const segment = output.react_timeline.segments.find(s => s.id === event.segment_id);
-        return segment && a.id === segment.asset;
-      });
+      if (asset?.type === 'video') {
+        commands.push(this.buildClipCommand(asset, event, output.video_settings, duration, withAudio, outputFile));
+        continue;
+      }
 
       if (!asset || asset.type !== 'image') {
         continue;
       }
 
-      const duration = (event.end_ms - event.start_ms) / 1000;
-      const outputFile = path.join(this.outputDir, `segment_${event.segment_id}.mp4`);
-
-      let filter = this.buildKenBurnsFilter(event, output.video_settings);
+      let filter = this.buildKenBurnsFilter(event, output.video_settings, duration);
 
-      const command = `ffmpeg -loop 1 -i "${asset.src}" -vf "${filter}" -t ${duration} -pix_fmt yuv420p -c:v libx264 "${outputFile}"`;
+      // Fixed frame rate keeps every segment on the same timebase for xfade
+      const command = `ffmpeg -loop 1 -i ${shellQuote(asset.local_path || asset.src)}${silence} -vf "${filter}" -t ${duration} -r ${fps} -pix_fmt yuv420p -c:v libx264 ${audioCodec} ${shellQuote(outputFile)}`;
 
       commands.push({
         command,
@@ -89,15 +187,110 @@ export class FFmpegCommandBuilder {
     return commands;
   }
 
+  /**
+   * Build the command that cuts a video clip asset into a segment.
+   * Trim points select the source range, speed retimes video (setpts) and
+   * audio (atempo), and the last frame is held if the clip runs short.
+   * @param {import('../core/types.js').Asset} asset
+   * @param {import('../core/types.js').TimelineEvent} event
+   * @param {import('../core/types.js').VideoSettings} videoSettings
+   * @param {number} duration - rendered segment length in seconds
+   * @param {boolean} withAudio - whether segments carry an audio stream
+   * @param {string} outputFile
+   * @returns {import('../core/types.js').FFmpegCommand}
+   */
+  buildClipCommand(asset, event, videoSettings, duration, withAudio, outputFile) {
+    const [width, height] = videoSettings.resolution.split('x').map(Number);
+    const speed = asset.speed || 1;
+    const trimStart = asset.trim_start || 0;
+
+    const inputs = [`-ss ${trimStart}`];
+    if (asset.trim_end !== undefined) {
+      inputs.push(`-t ${Number((asset.trim_end - trimStart).toFixed(3))}`);
+    }
+    inputs.push(`-i ${shellQuote(asset.local_path || asset.src)}`);
+
+    const videoFilter = [
+      speed !== 1 ? `setpts=PTS/${speed}` : null,
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+      `fps=${videoSettings.fps}`,
+      `tpad=stop_mode=clone:stop_duration=${duration}`,
+    ].filter(Boolean).join(',');
+
+    let audio = '-an';
+    if (withAudio && clipHasAudio(asset)) {
+      const audioFilter = [...this.buildTempoFilters(speed), 'apad'].join(',');
+      audio = `-map 0:v:0 -map 0:a:0 -af "${audioFilter}" -c:a aac -ar 48000`;
+    } else if (withAudio) {
+      inputs.push('-f lavfi -i anullsrc=channel_layout=stereo:sample_rate=48000');
+      audio = '-map 0:v:0 -map 1:a:0 -c:a aac -ar 48000';
+    }
+
+    const command = `ffmpeg ${inputs.join(' ')} -vf "${videoFilter}" ${audio} -t ${duration} -r ${videoSettings.fps} -pix_fmt yuv420p -c:v libx264 ${shellQuote(outputFile)}`;
+
+    return {
+      command,
+      description: `Cut video clip ${asset.id} for segment ${event.segment_id}`,
+    };
+  }
+
+  /**
+   * Build atempo filters for a playback speed (each atempo stage covers 0.5-2.0)
+   * @param {number} speed
+   * @returns {string[]}
+   */
+  buildTempoFilters(speed) {
+    const filters = [];
+    let remaining = speed;
+
+    while (remaining > 2) {
+      filters.push('atempo=2');
+      remaining /= 2;
+    }
+    while (remaining < 0.5) {
+      filters.push('atempo=0.5');
+      remaining /= 0.5;
+    }
+    if (remaining !== 1) {
+      filters.push(`atempo=${Number(remaining.toFixed(4))}`);
+    }
+
+    return filters;
+  }
+
+  /**
+   * Find the asset rendered by a timeline event
+   * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @param {import('../core/types.js').TimelineEvent} event
+   * @returns {import('../core/types.js').Asset | undefined}
+   */
+  findSegmentAsset(output, event) {
+    const segment = output.react_timeline.segments.find(s => s.id === event.segment_id);
+    return segment ? output.assets.find(a => a.id === segment.asset) : undefined;
+  }
+
+  /**
+   * Check whether any timeline segment keeps a video clip's own audio
+   * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @returns {boolean}
+   */
+  hasClipAudio(output) {
+    return output.timeline.some(event => {
+      const asset = this.findSegmentAsset(output, event);
+      return asset ? clipHasAudio(asset) : false;
+    });
+  }
+
   /**
    * Build Ken Burns filter string
    * @param {import('../core/types.js').TimelineEvent} event
    * @param {import('../core/types.js').VideoSettings} videoSettings
+   * @param {number} [duration] - rendered length in seconds (defaults to the event length)
    * @returns {string}
    */
-  buildKenBurnsFilter(event, videoSettings) {
+  buildKenBurnsFilter(event, videoSettings, duration = (event.end_ms - event.start_ms) / 1000) {
     const [width, height] = videoSettings.resolution.split('x').map(Number);
-    const duration = (event.end_ms - event.start_ms) / 1000;
     const fps = videoSettings.fps;
 
     const transform = event.transform;
@@ -129,92 +322,219 @@ export class FFmpegCommandBuilder {
   }
 
   /**
-   * Build transition commands
+   * Plan how segments overlap for transitions.
+   * A transition on a timeline event blends that segment into the next one,
+   * starting at offset_ms from the segment start (default: so it ends with the segment).
+   * Each segment is rendered from the moment it becomes visible until its own
+   * outgoing transition finishes, so chaining xfade keeps the timeline length.
    * @param {import('../core/types.js').VideoGenerationOutput} output
-   * @returns {import('../core/types.js').FFmpegCommand[]}
+   * @returns {SegmentPlan[]}
    */
-  buildTransitionCommands(output) {
-    // For now, transitions are handled in the concat step
-    // Crossfade transitions can be added using xfade filter
-    const commands = [];
+  planTransitions(output) {
+    const events = output.timeline;
+    const plan = [];
+    let renderStart = events[0]?.start_ms || 0;
+
+    for (let i = 0; i < events.length; i++) {
+      const event = events[i];
+      const next = events[i + 1];
+      const entry = { event, render_start_ms: renderStart, duration: 0, transition: null };
+
+      if (next && event.transition) {
+        const name = this.resolveTransition(event.transition.type);
+        const durationMs = event.transition.duration_ms ?? DEFAULT_TRANSITION_MS;
+
+        if (name === undefined) {
+          entry.fallback = event.transition.type;
+        } else if (name && durationMs > 0) {
+          const segmentMs = event.end_ms - event.start_ms;
+          const offsetMs = event.transition.offset_ms ?? segmentMs - durationMs;
+          const startMs = Math.min(Math.max(event.start_ms + offsetMs, renderStart), event.end_ms);
+          const clampedMs = Math.min(durationMs, next.end_ms - startMs);
+
+          if (clampedMs > 0) {
+            entry.transition = { name, start_ms: startMs, duration_ms: clampedMs };
+          }
+        }
+      }
 
-    // This is a placeholder - full transition implementation would require
-    // more complex filter chains
-    if (output.timeline.length > 1) {
-      commands.push({
-        command: '# Transitions handled in concat step',
-        description: 'Crossfade transitions applied during concatenation',
-      });
+      const renderEnd = entry.transition
+        ? entry.transition.start_ms + entry.transition.duration_ms
+        : event.end_ms;
+      entry.duration = (renderEnd - renderStart) / 1000;
+      plan.push(entry);
+
+      renderStart = entry.transition ? entry.transition.start_ms : event.end_ms;
     }
 
-    return commands;
+    return plan;
+  }
+
+  /**
+   * Resolve a planned transition name to an xfade transition
+   * @param {string} [type]
+   * @returns {string | null | undefined} xfade name, null for a hard cut, undefined if unknown
+   */
+  resolveTransition(type) {
+    const key = (type || '').toLowerCase().replace(/[\s_-]+/g, '');
+
+    if (CUT_TRANSITIONS.has(key)) {
+      return null;
+    }
+
+    return XFADE_TRANSITIONS[key];
+  }
+
+  /**
+   * Build the xfade filter graph that joins rendered segments.
+   * With clip audio, segment audio follows the same joins via acrossfade.
+   * @param {SegmentPlan[]} plan
+   * @param {boolean} [withAudio]
+   * @returns {{filter: string, label: string, audioLabel: string | null}}
+   */
+  buildTransitionFilter(plan, withAudio = false) {
+    const origin = plan[0].render_start_ms;
+    const filters = [];
+    let label = '0:v';
+    let audioLabel = withAudio ? '0:a' : null;
+
+    for (let i = 1; i < plan.length; i++) {
+      const transition = plan[i - 1].transition;
+      const outLabel = `v${i}`;
+      const outAudioLabel = `a${i}`;
+
+      if (transition) {
+        const offset = (transition.start_ms - origin) / 1000;
+        const duration = transition.duration_ms / 1000;
+        filters.push(`[${label}][${i}:v]xfade=transition=${transition.name}:duration=${duration}:offset=${offset}[${outLabel}]`);
+        if (withAudio) {
+          filters.push(`[${audioLabel}][${i}:a]acrossfade=d=${duration}[${outAudioLabel}]`);
+        }
+      } else if (withAudio) {
+        filters.push(`[${label}][${audioLabel}][${i}:v][${i}:a]concat=n=2:v=1:a=1[${outLabel}][${outAudioLabel}]`);
+      } else {
+        filters.push(`[${label}][${i}:v]concat=n=2:v=1:a=0[${outLabel}]`);
+      }
+
+      label = outLabel;
+      if (withAudio) {
+        audioLabel = outAudioLabel;
+      }
+    }
+
+    return { filter: filters.join(';'), label, audioLabel };
   }
 
   /**
    * Build concatenation command
+   * Hard cuts only are joined with the concat demuxer (stream copy);
+   * any transition switches to an xfade (and acrossfade) filter graph.
    * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @param {SegmentPlan[]} [plan]
    * @returns {import('../core/types.js').FFmpegCommand}
    */
-  buildConcatCommand(output) {
-    const concatFile = path.join(this.outputDir, 'concat.txt');
-    const segments = [];
-
-    for (const event of output.timeline) {
-      const segmentFile = path.join(this.outputDir, `segment_${event.segment_id}.mp4`);
-      segments.push(`file '${segmentFile}'`);
+  buildConcatCommand(output, plan = this.planTransitions(output)) {
+    const outputFile = path.join(this.outputDir, 'video_joined.mp4');
+    const segmentFiles = plan.map(({ event }) => path.join(this.outputDir, `segment_${event.segment_id}.mp4`));
+
+    if (!plan.some(entry => entry.transition)) {
+      const concatFile = path.join(this.outputDir, 'concat.txt');
+      fs.writeFileSync(concatFile, segmentFiles.map(file => `file '${file}'`).join('\n'));
+
+      return {
+        command: `ffmpeg -f concat -safe 0 -i ${shellQuote(concatFile)} -c copy ${shellQuote(outputFile)}`,
+        description: 'Concatenate all video segments',
+      };
     }
 
-    fs.writeFileSync(concatFile, segments.join('\n'));
-
-    const outputFile = path.join(this.outputDir, 'video_no_audio.mp4');
-    const command = `ffmpeg -f concat -safe 0 -i "${concatFile}" -c copy "${outputFile}"`;
+    const withAudio = this.hasClipAudio(output);
+    const { filter, label, audioLabel } = this.buildTransitionFilter(plan, withAudio);
+    const inputs = segmentFiles.map(file => `-i ${shellQuote(file)}`).join(' ');
+    const audio = withAudio ? ` -map "[${audioLabel}]" -c:a aac -ar 48000` : '';
+    const command = `ffmpeg ${inputs} -filter_complex "${filter}" -map "[${label}]"${audio} -r ${output.video_settings.fps} -pix_fmt yuv420p -c:v libx264 ${shellQuote(outputFile)}`;
 
     return {
       command,
-      description: 'Concatenate all video segments',
+      description: 'Concatenate video segments with transitions',
     };
   }
 
   /**
    * Build audio mixing command with ducking
    * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @param {import('../core/types.js').Voiceover} [voiceover]
    * @returns {import('../core/types.js').FFmpegCommand}
    */
-  buildAudioCommand(output) {
-    const videoFile = path.join(this.outputDir, 'video_no_audio.mp4');
+  buildAudioCommand(output, voiceover) {
+    const videoFile = path.join(this.outputDir, 'video_joined.mp4');
     const outputFile = path.join(this.outputDir, 'video_with_audio.mp4');
+    const tracks = output.audio_mix.tracks;
+    const withClipAudio = this.hasClipAudio(output);
+
+    if (tracks.length === 0) {
+      return {
+        command: `ffmpeg -i ${shellQuote(videoFile)} -c copy ${shellQuote(outputFile)}`,
+        description: 'No audio tracks to mix',
+      };
+    }
 
-    const audioInputs = [];
+    // Add video input (index 0), then one input per audio track
+    const audioInputs = [`-i ${shellQuote(videoFile)}`, ...tracks.map(track => `-i ${shellQuote(this.resolveSource(output, track.src, voiceover))}`)];
     const audioFilters = [];
-    let audioIndex = 1; // Start after video input (index 0)
+    const labels = tracks.map((_, i) => `a${i + 1}`);
+
+    // Voiceover tracks feeding a sidechain need one extra copy of their stream per ducked track
+    const sidechains = new Map();
+    for (const track of tracks) {
+      if (!track.ducking) continue;
+      for (const trigger of this.findDuckingTriggers(track, tracks)) {
+        if (trigger.duration === undefined) {
+          const copies = sidechains.get(trigger.id) || [];
+          copies.push(`sc${tracks.indexOf(trigger) + 1}_${copies.length + 1}`);
+          sidechains.set(trigger.id, copies);
+        }
+      }
+    }
 
-    // Add video input
-    audioInputs.push(`-i "${videoFile}"`);
+    tracks.forEach((track, i) => {
+      // Delay to the track start so envelope times match the video timeline
+      const chain = [];
+      if (track.start_time > 0) {
+        const delayMs = Math.round(track.start_time * 1000);
+        chain.push(`adelay=${delayMs}|${delayMs}`);
+      }
+      chain.push(`volume=${track.volume}`);
 
-    // Process each audio track
-    for (const track of output.audio_mix.tracks) {
-      audioInputs.push(`-i "${track.src}"`);
+      const copies = sidechains.get(track.id) || [];
+      if (copies.length > 0) {
+        chain.push(`asplit=${copies.length + 1}`);
+      }
+      const outputs = [labels[i], ...copies].map(label => `[${label}]`).join('');
+      audioFilters.push(`[${i + 1}:a]${chain.join(',')}${outputs}`);
+    });
 
-      // Build volume and ducking filters
-      let filter = `[${audioIndex}:a]volume=${track.volume}`;
+    tracks.forEach((track, i) => {
+      if (!track.ducking) return;
 
-      // Apply ducking if specified
-      if (track.ducking) {
-        // Ducking is complex - simplified version
-        // Full implementation would use adelay and volume filters
-        filter += `,volume=${track.ducking.target_volume}:enable='between(t,${track.start_time},${track.start_time + (track.duration || 0)})'`;
+      const ducked = this.buildDuckingFilter(track, tracks, labels[i], sidechains);
+      if (ducked) {
+        audioFilters.push(ducked.filter);
+        labels[i] = ducked.label;
       }
+    });
 
-      audioFilters.push(filter);
-      audioIndex++;
+    // Clip audio already joined with the video is mixed under the tracks
+    if (withClipAudio) {
+      labels.unshift('0:a');
     }
 
     // Mix all audio tracks
-    const mixFilter = audioFilters.length > 1
-      ? `${audioFilters.join(';')};${audioFilters.map((_, i) => `[${i + 1}:a]`).join('')}amix=inputs=${audioFilters.length}:duration=longest`
-      : audioFilters[0];
+    const mixFilter = labels.length > 1
+      ? `${labels.map(label => `[${label}]`).join('')}amix=inputs=${labels.length}:duration=longest[aout]`
+      : `[${labels[0]}]anull[aout]`;
+    audioFilters.push(mixFilter);
 
-    const command = `ffmpeg ${audioInputs.join(' ')} -filter_complex "${mixFilter}" -c:v copy -c:a aac -b:a 192k "${outputFile}"`;
+    const command = `ffmpeg ${audioInputs.join(' ')} -filter_complex "${audioFilters.join(';')}" -map 0:v -map "[aout]" -c:v copy -c:a aac -b:a 192k ${shellQuote(outputFile)}`;
 
     return {
       command,
@@ -222,6 +542,152 @@ export class FFmpegCommandBuilder {
     };
   }
 
+  /**
+   * Map a source referenced by an agent (asset src or id, or the voiceover file) to its local copy
+   * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @param {string} src
+   * @param {import('../core/types.js').Voiceover} [voiceover]
+   * @returns {string}
+   */
+  resolveSource(output, src, voiceover) {
+    const asset = output.assets.find(a => a.src === src || a.id === src);
+    if (asset) {
+      return asset.local_path || src;
+    }
+    return voiceover?.type === 'file' && voiceover.src === src && voiceover.local_path ? voiceover.local_path : src;
+  }
+
+  /**
+   * Find the tracks whose playback should duck the given track.
+   * `ducking.when` names a track id, or an id prefix such as "voiceover".
+   * @param {import('../core/types.js').AudioTrack} track
+   * @param {import('../core/types.js').AudioTrack[]} tracks
+   * @returns {import('../core/types.js').AudioTrack[]}
+   */
+  findDuckingTriggers(track, tracks) {
+    const when = track.ducking?.when;
+    if (!when) {
+      return [];
+    }
+
+    const others = tracks.filter(t => t !== track);
+    const exact = others.filter(t => t.id === when);
+    return exact.length > 0 ? exact : others.filter(t => t.id.startsWith(when));
+  }
+
+  /**
+   * Build the ducking filter for a track.
+   * Triggers with a known duration get a volume envelope that ramps down over
+   * fade_duration before the voiceover starts and back up after it ends.
+   * Triggers without a duration fall back to sidechaincompress.
+   * @param {import('../core/types.js').AudioTrack} track
+   * @param {import('../core/types.js').AudioTrack[]} tracks
+   * @param {string} label - current filter label of the track
+   * @param {Map<string, string[]>} sidechains - unused sidechain labels by trigger track id
+   * @returns {{filter: string, label: string} | null}
+   */
+  buildDuckingFilter(track, tracks, label, sidechains) {
+    const triggers = this.findDuckingTriggers(track, tracks);
+    if (triggers.length === 0) {
+      return null;
+    }
+
+    const { target_volume, fade_duration } = track.ducking;
+    const fade = Math.max(0, fade_duration || 0);
+    // target_volume is an absolute level, the envelope scales the already applied volume
+    const ratio = track.volume > 0 ? Math.min(1, target_volume / track.volume) : 1;
+    const depth = Number((1 - ratio).toFixed(4));
+    const filters = [];
+    let current = label;
+
+    const timed = triggers.filter(t => t.duration !== undefined);
+    if (timed.length > 0) {
+      const windows = timed.map(t => {
+        const start = t.start_time || 0;
+        const end = start + t.duration;
+        if (fade === 0) {
+          return `between(t,${start},${end})`;
+        }
+        const rampDown = Number((start - fade).toFixed(3));
+        const rampUp = Number((end + fade).toFixed(3));
+        return `min(clip((t-${rampDown})/${fade},0,1),clip((${rampUp}-t)/${fade},0,1))`;
+      });
+      const duck = windows.reduce((expr, window) => `max(${expr},${window})`);
+      const next = `${label}d`;
+      filters.push(`[${current}]volume='1-${depth}*${duck}':eval=frame[${next}]`);
+      current = next;
+    }
+
+    triggers.filter(t => t.duration === undefined).forEach((trigger, i) => {
+      // attack/release follow the fade time, within sidechaincompress limits (ms)
+      const attack = Math.min(2000, Math.max(0.01, fade * 1000));
+      const release = Math.min(9000, Math.max(0.01, fade * 1000));
+      const compressRatio = Number(Math.min(20, Math.max(1, ratio > 0 ? 1 / ratio : 20)).toFixed(2));
+      const next = `${label}s${i + 1}`;
+      filters.push(`[${current}][${sidechains.get(trigger.id).shift()}]sidechaincompress=threshold=0.02:ratio=${compressRatio}:attack=${attack}:release=${release}[${next}]`);
+      current = next;
+    });
+
+    return { filter: filters.join(';'), label: current };
+  }
+
+  /**
+   * Check whether the mix gets a loudness normalization pass
+   * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @returns {boolean}
+   */
+  shouldNormalizeLoudness(output) {
+    return typeof output.audio_mix.target_lufs === 'number'
+      && (output.audio_mix.tracks.length > 0 || this.hasClipAudio(output));
+  }
+
+  /**
+   * File holding the finished audio mix (normalized when a target is set)
+   * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @returns {string}
+   */
+  getMixedFile(output) {
+    const file = this.shouldNormalizeLoudness(output) ? 'video_normalized.mp4' : 'video_with_audio.mp4';
+    return path.join(this.outputDir, file);
+  }
+
+  /**
+   * Build two-pass EBU R128 loudness normalization commands.
+   * The first pass prints loudnorm measurements as JSON; the executor captures
+   * them and fills the {{loudnorm_measure.*}} placeholders of the second pass.
+   * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @returns {import('../core/types.js').FFmpegCommand[]}
+   */
+  buildLoudnessCommands(output) {
+    if (!this.shouldNormalizeLoudness(output)) {
+      return [];
+    }
+
+    const inputFile = path.join(this.outputDir, 'video_with_audio.mp4');
+    const outputFile = this.getMixedFile(output);
+    const target = `I=${output.audio_mix.target_lufs}:TP=${LOUDNORM_TRUE_PEAK}:LRA=${LOUDNORM_LRA}`;
+    const measured = [
+      'measured_I={{loudnorm_measure.input_i}}',
+      'measured_TP={{loudnorm_measure.input_tp}}',
+      'measured_LRA={{loudnorm_measure.input_lra}}',
+      'measured_thresh={{loudnorm_measure.input_thresh}}',
+      'offset={{loudnorm_measure.target_offset}}',
+    ].join(':');
+
+    return [
+      {
+        command: `ffmpeg -i ${shellQuote(inputFile)} -vn -af loudnorm=${target}:print_format=json -f null -`,
+        description: `Measure loudness of the mix (target ${output.audio_mix.target_lufs} LUFS)`,
+        capture: 'loudnorm_measure',
+      },
+      {
+        command: `ffmpeg -i ${shellQuote(inputFile)} -af loudnorm=${target}:${measured}:linear=true:print_format=json -c:v copy -c:a aac -b:a 192k -ar 48000 ${shellQuote(outputFile)}`,
+        description: `Normalize loudness to ${output.audio_mix.target_lufs} LUFS`,
+        capture: 'loudnorm_normalize',
+      },
+    ];
+  }
+
   /**
    * Build subtitle command
    * @param {import('../core/types.js').VideoGenerationOutput} output
@@ -248,9 +714,9 @@ export class FFmpegCommandBuilder {
 
     fs.writeFileSync(srtFile, srtContent);
 
-    const inputFile = path.join(this.outputDir, 'video_with_audio.mp4');
+    const inputFile = this.getMixedFile(output);
     const outputFile = path.join(this.outputDir, 'video_with_subtitles.mp4');
-    const command = `ffmpeg -i "${inputFile}" -vf "subtitles=${srtFile}" -c:a copy "${outputFile}"`;
+    const command = `ffmpeg -i ${shellQuote(inputFile)} -vf ${shellQuote(`subtitles=${srtFile}`)} -c:a copy ${shellQuote(outputFile)}`;
 
     return {
       command,
@@ -278,12 +744,14 @@ export class FFmpegCommandBuilder {
    * @returns {import('../core/types.js').FFmpegCommand}
    */
   buildFinalCommand(output) {
-    const inputFile = path.join(this.outputDir, output.subtitles.length > 0 ? 'video_with_subtitles.mp4' : 'video_with_audio.mp4');
+    const inputFile = output.subtitles.length > 0
+      ? path.join(this.outputDir, 'video_with_subtitles.mp4')
+      : this.getMixedFile(output);
     const finalOutput = path.join(this.outputDir, `${output.project_id}.${output.video_settings.format}`);
 
     const { resolution, fps, codec, crf } = output.video_settings;
 
-    const command = `ffmpeg -i "${inputFile}" -s ${resolution} -r ${fps} -c:v ${codec} -crf ${crf} -preset slow -c:a aac -b:a 192k "${finalOutput}"`;
+    const command = `ffmpeg -i ${shellQuote(inputFile)} -s ${resolution} -r ${fps} -c:v ${shellQuote(codec)} -crf ${crf} -preset slow -c:a aac -b:a 192k ${shellQuote(finalOutput)}`;
 
     return {
       command,
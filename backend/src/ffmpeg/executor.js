@@ -2,6 +2,7 @@
  * FFmpeg execution wrapper
  */
 
+import { EventEmitter } from 'events';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 
@@ -12,22 +13,28 @@ const execAsync = promisify(exec);
  * @property {string} [ffmpegPath]
  * @property {boolean} [dryRun]
  * @property {boolean} [verbose]
+ * @property {AbortSignal} [signal] - kills the running FFmpeg process when aborted
  */
 
-export class FFmpegExecutor {
+/**
+ * Emits 'command' with {index, total, description} before each command runs
+ */
+export class FFmpegExecutor extends EventEmitter {
   /**
    * @param {ExecutionOptions} [options]
    */
   constructor(options = {}) {
+    super();
     this.ffmpegPath = options.ffmpegPath || 'ffmpeg';
     this.dryRun = options.dryRun || false;
     this.verbose = options.verbose || false;
+    this.signal = options.signal;
   }
 
   /**
    * Execute a single FFmpeg command
    * @param {import('../core/types.js').FFmpegCommand} command
-   * @returns {Promise<void>}
+   * @returns {Promise<Object | undefined>} JSON captured from the command output, if requested
    */
   async executeCommand(command) {
     if (this.dryRun) {
@@ -42,7 +49,7 @@ export class FFmpegExecutor {
     }
 
     try {
-      const { stdout, stderr } = await execAsync(command.command);
+      const { stdout, stderr } = await execAsync(command.command, { maxBuffer: 10 * 1024 * 1024, signal: this.signal });
       
       if (this.verbose && stdout) {
         console.log(stdout);
@@ -51,6 +58,10 @@ export class FFmpegExecutor {
       if (stderr && this.verbose) {
         console.error(stderr);
       }
+
+      if (command.capture) {
+        return this.parseCapturedJSON(stderr);
+      }
     } catch (error) {
       console.error(`Error executing command: ${command.description}`);
       console.error(`Command: ${command.command}`);
@@ -59,14 +70,79 @@ export class FFmpegExecutor {
   }
 
   /**
-   * Execute multiple FFmpeg commands sequentially
+   * Execute multiple FFmpeg commands sequentially.
+   * JSON captured by a command fills {{capture.key}} placeholders of later commands.
    * @param {import('../core/types.js').FFmpegCommand[]} commands
-   * @returns {Promise<void>}
+   * @returns {Promise<Record<string, Object>>} captured JSON by capture key
    */
   async executeCommands(commands) {
-    for (const command of commands) {
-      await this.executeCommand(command);
+    const captures = {};
+
+    for (const [index, command] of commands.entries()) {
+      this.emit('command', { index: index + 1, total: commands.length, description: command.description });
+
+      const resolved = {
+        ...command,
+        command: command.command.replace(/\{\{(\w+)\.(\w+)\}\}/g, (match, capture, key) =>
+          captures[capture]?.[key] ?? match
+        ),
+      };
+
+      const captured = await this.executeCommand(resolved);
+      if (command.capture && captured) {
+        captures[command.capture] = captured;
+      }
+    }
+
+    return captures;
+  }
+
+  /**
+   * Extract the JSON block loudnorm prints (print_format=json) after its
+   * [Parsed_loudnorm_N @ …] header. Braces in other log lines, such as
+   * metadata printed after it, are not part of the measurements.
+   * @param {string} stderr
+   * @returns {Object}
+   */
+  parseCapturedJSON(stderr) {
+    const header = [...stderr.matchAll(/\[Parsed_loudnorm_\d+ @ [^\]]*\]/g)].at(-1);
+    const start = header ? stderr.indexOf('{', header.index) : -1;
+    const end = start === -1 ? -1 : matchingBrace(stderr, start);
+    if (end === -1) {
+      throw new Error('FFmpeg did not print the expected loudnorm JSON measurements');
+    }
+
+    return JSON.parse(stderr.substring(start, end + 1));
+  }
+
+  /**
+   * Record measured loudness from the loudnorm passes in the output JSON
+   * @param {import('../core/types.js').VideoGenerationOutput} output
+   * @param {Record<string, Object>} captures
+   */
+  applyLoudnessReport(output, captures) {
+    const measure = captures.loudnorm_measure;
+    if (!measure) {
+      return;
     }
+
+    const normalize = captures.loudnorm_normalize;
+    output.audio_mix.loudness = {
+      target_lufs: output.audio_mix.target_lufs,
+      input: {
+        integrated_lufs: Number(measure.input_i),
+        true_peak: Number(measure.input_tp),
+        lra: Number(measure.input_lra),
+        threshold: Number(measure.input_thresh),
+      },
+      output: normalize ? {
+        integrated_lufs: Number(normalize.output_i),
+        true_peak: Number(normalize.output_tp),
+        lra: Number(normalize.output_lra),
+        threshold: Number(normalize.output_thresh),
+      } : undefined,
+      normalization_type: normalize?.normalization_type,
+    };
   }
 
   /**
@@ -83,3 +159,32 @@ export class FFmpegExecutor {
   }
 }
 
+/**
+ * Index of the brace closing the one at `start`, skipping braces inside strings
+ * @param {string} text
+ * @param {number} start - index of an opening brace
+ * @returns {number} -1 when the block is not closed
+ */
+function matchingBrace(text, start) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+
+  return -1;
+}
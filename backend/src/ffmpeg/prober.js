@@ -0,0 +1,130 @@
+/**
+ * Asset inspection with ffprobe
+ */
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * @typedef {Object} ProberOptions
+ * @property {string} [ffprobePath]
+ * @property {number} [timeoutMs]
+ */
+
+export class AssetProber {
+  /**
+   * @param {ProberOptions} [options]
+   */
+  constructor(options = {}) {
+    this.ffprobePath = options.ffprobePath || 'ffprobe';
+    this.timeoutMs = options.timeoutMs || 30000;
+  }
+
+  /**
+   * Read media metadata for a single source
+   * @param {string} src
+   * @returns {Promise<import('../core/types.js').AssetMetadata>}
+   */
+  async probe(src) {
+    // Sources come from API requests, so they are passed as an argument and never through a shell
+    const args = ['-v', 'error', '-print_format', 'json', '-show_streams', '-show_format', '-i', src];
+
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync(this.ffprobePath, args, { timeout: this.timeoutMs, maxBuffer: 5 * 1024 * 1024 }));
+    } catch (error) {
+      throw new Error(`ffprobe failed for ${src}: ${error.message}`);
+    }
+
+    return this.parseProbe(JSON.parse(stdout));
+  }
+
+  /**
+   * Convert raw ffprobe JSON into asset metadata
+   * @param {{streams?: Object[], format?: Object}} data
+   * @returns {import('../core/types.js').AssetMetadata}
+   */
+  parseProbe(data) {
+    const streams = data.streams || [];
+    const video = streams.find(s => s.codec_type === 'video');
+    const audio = streams.find(s => s.codec_type === 'audio');
+    const metadata = {};
+
+    if (video?.width && video?.height) {
+      // Phone footage stores portrait video as landscape frames plus a rotation
+      const rotation = Math.abs(Number(video.tags?.rotate ?? video.side_data_list?.find(d => d.rotation !== undefined)?.rotation ?? 0));
+      const rotated = rotation === 90 || rotation === 270;
+      metadata.width = rotated ? video.height : video.width;
+      metadata.height = rotated ? video.width : video.height;
+      metadata.orientation = metadata.width > metadata.height
+        ? 'landscape'
+        : metadata.width < metadata.height ? 'portrait' : 'square';
+    }
+
+    const duration = Number(data.format?.duration ?? video?.duration ?? audio?.duration);
+    // Still images report a single-frame duration that is meaningless on a timeline
+    const still = /image2|_pipe$/.test(data.format?.format_name || '');
+    if (Number.isFinite(duration) && duration > 0 && !still) {
+      metadata.duration = Number(duration.toFixed(3));
+    }
+
+    metadata.audio_channels = audio ? Number(audio.channels) || 0 : 0;
+    if (audio?.sample_rate) {
+      metadata.sample_rate = Number(audio.sample_rate);
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Probe every asset (and a voiceover file, if any) and return an input
+   * whose assets carry their metadata. Assets that cannot be probed are left as-is.
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @returns {Promise<{input: import('../core/types.js').VideoGenerationInput, warnings: string[]}>}
+   */
+  async inspectInput(input) {
+    const warnings = [];
+
+    const assets = await Promise.all(input.assets.map(async asset => {
+      try {
+        const metadata = await this.probe(asset.local_path || asset.src);
+        return {
+          ...asset,
+          duration: asset.duration ?? (asset.type !== 'image' ? metadata.duration : undefined),
+          metadata,
+        };
+      } catch (error) {
+        warnings.push(`Could not probe asset ${asset.id}: ${error.message}`);
+        return asset;
+      }
+    }));
+
+    let instructions = input.instructions;
+    const voiceover = instructions.voiceover;
+    if (voiceover?.type === 'file' && voiceover.src) {
+      try {
+        const metadata = await this.probe(voiceover.local_path || voiceover.src);
+        instructions = { ...instructions, voiceover: { ...voiceover, duration: metadata.duration } };
+      } catch (error) {
+        warnings.push(`Could not probe voiceover file: ${error.message}`);
+      }
+    }
+
+    return { input: { ...input, assets, instructions }, warnings };
+  }
+
+  /**
+   * Check if ffprobe is available
+   * @returns {Promise<boolean>}
+   */
+  async checkAvailable() {
+    try {
+      await execFileAsync(this.ffprobePath, ['-version']);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
@@ -3,7 +3,10 @@
  */
 
 export { VideoGenerationOrchestrator } from './core/orchestrator.js';
+export { StageRegistry } from './core/stage-registry.js';
+export { scorePlan, rankPlans } from './core/plan-ranking.js';
 export { LLMClient, createLLMClientFromEnv } from './core/llm-client.js';
+export { createAgentClientsFromEnv } from './core/llm-routing.js';
 export { FFmpegCommandBuilder } from './ffmpeg/command-builder.js';
 export { FFmpegExecutor } from './ffmpeg/executor.js';
 
@@ -12,35 +15,73 @@ export { FFmpegExecutor } from './ffmpeg/executor.js';
  */
 import { VideoGenerationOrchestrator } from './core/orchestrator.js';
 import { LLMClient } from './core/llm-client.js';
+import { resolveVariantCount } from './core/plan-ranking.js';
 
 /** 
  * 
  * @typedef {Object} GenerateVideoOptions
  * @property {import('./core/types.js').LLMConfig} [llmConfig]
+ * @property {Record<string, import('./core/types.js').LLMConfig>} [agentLLMConfigs] - per-agent configs keyed by role (CVA, CD, VE, AE, SCO, OC)
  * @property {boolean} [executeFfmpeg]
  * @property {boolean} [dryRun]
  * @property {boolean} [verbose]
  * @property {string} [outputDir]
+ * @property {string} [assetBaseDir] - directory relative asset paths are resolved against
+ * @property {Record<string, number>} [repairAttempts] - per-agent repair attempts, e.g. { CVA: 5, SCO: 1 }
+ * @property {boolean} [cache] - false bypasses the LLM response cache
+ * @property {string} [resume] - run ID to resume; its saved input and stage results are reused
+ * @property {import('./core/safety-policy.js').SafetyPolicy} [safetyPolicy] - warn, block or auto-remediate when SCO flags an issue
+ * @property {import('./agents/rules-planner.js').Planner} [planner] - 'rules' plans without calling an LLM
+ * @property {number} [concurrency] - stages run at once when their inputs are ready (default: PIPELINE_CONCURRENCY or 2)
+ * @property {Array<import('./core/stage-registry.js').StageDefinition & import('./core/stage-registry.js').StagePosition>} [stages] - custom stages to insert, or to replace the built-in stage of the same name
+ * @property {import('./core/run-stats.js').RunBudget} [budget] - abort once the run uses more tokens or estimated cost
+ * @property {number} [variants] - above 1, plan this many candidates and return them ranked instead of one output;
+ *   nothing is rendered, so render the chosen one by resuming its run_id. Needs the llm planner
  */
 
 /**
  * Generate video from input
  * @param {import('./core/types.js').VideoGenerationInput} input
  * @param {GenerateVideoOptions} [options]
- * @returns {Promise<import('./core/types.js').FinalOutput>}
+ * @returns {Promise<import('./core/types.js').FinalOutput | import('./core/plan-ranking.js').RankedPlans>}
+ *   RankedPlans when options.variants is above 1
  */
 export async function generateVideo(input, options = {}) {
+  const variants = resolveVariantCount(options.variants);
+  if (variants > 1 && (options.executeFfmpeg || options.dryRun || options.resume)) {
+    const error = new Error('Variants are planned only; resume the chosen variant\'s run to render it');
+    error.code = 'INVALID_VARIANTS';
+    throw error;
+  }
+
   // Create LLM client if config provided
   let llmClient;
   if (options.llmConfig) {
     llmClient = new LLMClient(options.llmConfig);
   }
+  const llmClients = Object.fromEntries(
+    Object.entries(options.agentLLMConfigs || {}).map(([role, config]) => [role, new LLMClient(config)])
+  );
 
   // Create orchestrator
-  const orchestrator = new VideoGenerationOrchestrator(llmClient);
+  const orchestrator = new VideoGenerationOrchestrator(llmClient, {
+    assetBaseDir: options.assetBaseDir,
+    repairAttempts: options.repairAttempts,
+    llmClients,
+    budget: options.budget,
+    cache: options.cache,
+    safetyPolicy: options.safetyPolicy,
+    planner: options.planner,
+    stages: options.stages,
+    concurrency: options.concurrency,
+  });
+
+  if (variants > 1) {
+    return orchestrator.executeVariants(input, { variants });
+  }
 
   // Execute pipeline
-  const result = await orchestrator.execute(input);
+  const result = await orchestrator.execute(input, { resume: options.resume });
 
   // Execute FFmpeg if requested
   if (options.executeFfmpeg || options.dryRun) {
@@ -53,7 +94,8 @@ export async function generateVideo(input, options = {}) {
 
     const available = await executor.checkFFmpegAvailable();
     if (available || options.dryRun) {
-      await executor.executeCommands(result.json_output.ffmpeg_commands);
+      const captures = await executor.executeCommands(result.json_output.ffmpeg_commands);
+      executor.applyLoudnessReport(result.json_output, captures);
     } else {
       result.json_output.assumptions.push('FFmpeg not available - commands generated but not executed');
     }
@@ -0,0 +1,88 @@
+/**
+ * Job runner for the full video generation pipeline
+ */
+
+import { VideoGenerationOrchestrator } from '../core/orchestrator.js';
+import { FFmpegExecutor } from '../ffmpeg/executor.js';
+import { assetRootFromEnv } from '../core/asset-cache.js';
+import { JobQueue } from './job-queue.js';
+
+/**
+ * @typedef {Object} GenerationJobOptions
+ * @property {boolean} [execute_ffmpeg]
+ * @property {boolean} [dry_run]
+ * @property {boolean} [verbose]
+ * @property {boolean} [cache] - false bypasses the LLM response cache
+ * @property {import('../agents/rules-planner.js').Planner} [planner] - 'rules' plans without an LLM
+ * @property {string} [resume] - checkpointed run to resume instead of starting from the input
+ * @property {number} [variants] - above 1, plan this many candidates and return them ranked; nothing is rendered
+ */
+
+/**
+ * Run the agent pipeline and optional FFmpeg render for a job, or plan and rank candidate variants
+ * @type {import('./job-queue.js').JobRunner}
+ */
+export async function runGenerationJob(job, { signal, onProgress, onRun, emit }) {
+  /** @type {GenerationJobOptions} */
+  const options = job.options;
+
+  // Jobs come from API requests, so local assets must stay inside ASSET_ROOT
+  const orchestrator = new VideoGenerationOrchestrator(undefined, {
+    cache: options.cache,
+    planner: options.planner,
+    assetRoot: assetRootFromEnv(),
+  });
+  orchestrator.on('event', emit);
+  if (options.variants > 1) {
+    return orchestrator.executeVariants(job.input, { signal, onProgress, variants: options.variants });
+  }
+
+  // Variants above are started afresh after a restart; a single run picks up from its checkpoints
+  orchestrator.on('event', event => {
+    if (event.type === 'run_started') {
+      onRun(event.run_id);
+    }
+  });
+  const result = await orchestrator.execute(job.input, { signal, onProgress, resume: options.resume });
+
+  if (options.execute_ffmpeg || options.dry_run) {
+    onProgress({ stage: 'rendering', progress: 0.9 });
+    emit({ type: 'stage_started', stage: 'rendering', progress: 0.9, timestamp: new Date().toISOString() });
+    const started = Date.now();
+
+    const executor = new FFmpegExecutor({
+      dryRun: options.dry_run,
+      verbose: options.verbose,
+      ffmpegPath: process.env.FFMPEG_PATH,
+      signal,
+    });
+    executor.on('command', command => {
+      emit({ type: 'ffmpeg_command', stage: 'rendering', ...command, timestamp: new Date().toISOString() });
+    });
+
+    const available = await executor.checkFFmpegAvailable();
+    if (!available && !options.dry_run) {
+      result.json_output.assumptions.push('FFmpeg not available - commands generated but not executed');
+    } else {
+      const captures = await executor.executeCommands(result.json_output.ffmpeg_commands);
+      executor.applyLoudnessReport(result.json_output, captures);
+      result.json_output.assumptions.push('FFmpeg commands executed successfully');
+    }
+    emit({ type: 'stage_finished', stage: 'rendering', duration_ms: Date.now() - started, timestamp: new Date().toISOString() });
+  }
+
+  return result;
+}
+
+/**
+ * Create the generation job queue from environment variables
+ * @returns {JobQueue}
+ */
+export function createJobQueueFromEnv() {
+  return new JobQueue({
+    runner: runGenerationJob,
+    dir: process.env.JOBS_DIR,
+    concurrency: process.env.JOB_CONCURRENCY ? parseInt(process.env.JOB_CONCURRENCY, 10) : undefined,
+    retention: process.env.JOB_RETENTION ? parseInt(process.env.JOB_RETENTION, 10) : undefined,
+  });
+}
@@ -0,0 +1,296 @@
+/**
+ * In-process job queue with a concurrency limit and on-disk job state
+ */
+
+import { EventEmitter } from 'events';
+import * as fs from 'fs';
+import * as path from 'path';
+import * as crypto from 'crypto';
+
+/**
+ * @typedef {'queued' | 'running' | 'completed' | 'failed' | 'cancelled'} JobStatus
+ *
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {JobStatus} status
+ * @property {string} stage - pipeline stage (assets, CVA … OC, rendering)
+ * @property {number} progress - 0 to 1
+ * @property {import('../core/types.js').VideoGenerationInput} input
+ * @property {Object} options - job options (execute_ffmpeg, dry_run, …)
+ * @property {string | null} run_id - checkpointed run the job is working on, resumed after a restart
+ * @property {import('../core/types.js').FinalOutput | import('../core/plan-ranking.js').RankedPlans | null} result - ranked plans for a variants job
+ * @property {string | null} error
+ * @property {string} created_at
+ * @property {string} updated_at
+ * @property {string | null} started_at
+ * @property {string | null} finished_at
+ * @property {Object[]} events - recent pipeline events, replayed to new SSE subscribers
+ *
+ * @callback JobRunner
+ * @param {Job} job
+ * @param {{signal: AbortSignal, onProgress: (update: {stage: string, progress: number}) => void, onRun: (runId: string) => void, emit: (event: Object) => void}} context
+ * @returns {Promise<import('../core/types.js').FinalOutput | import('../core/plan-ranking.js').RankedPlans>}
+ */
+
+/**
+ * @typedef {Object} JobQueueOptions
+ * @property {JobRunner} runner
+ * @property {string} [dir] - where job state is persisted
+ * @property {number} [concurrency]
+ * @property {number} [retention] - finished jobs kept; older ones are removed from memory and disk (default 100)
+ */
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+
+// Events kept per job for replay
+const MAX_JOB_EVENTS = 500;
+
+// Per-command render notices are kept in memory only; the next persisted event or update writes them out
+const UNPERSISTED_EVENTS = new Set(['ffmpeg_command']);
+
+/**
+ * Emits 'event' with (jobId, event) for pipeline events and status changes
+ */
+export class JobQueue extends EventEmitter {
+  /**
+   * @param {JobQueueOptions} options
+   */
+  constructor(options) {
+    super();
+    this.runner = options.runner;
+    this.dir = path.resolve(options.dir || './.jobs');
+    this.concurrency = options.concurrency || 1;
+    this.retention = options.retention ?? 100;
+
+    /** @type {Map<string, Job>} */
+    this.jobs = new Map();
+    /** @type {string[]} */
+    this.pending = [];
+    /** @type {Map<string, AbortController>} */
+    this.running = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.load();
+  }
+
+  /**
+   * Queue a new job
+   * @param {import('../core/types.js').VideoGenerationInput} input
+   * @param {Object} [options]
+   * @returns {Job}
+   */
+  submit(input, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      stage: 'queued',
+      progress: 0,
+      input,
+      options,
+      run_id: null,
+      result: null,
+      error: null,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      finished_at: null,
+      events: [],
+    };
+
+    this.jobs.set(job.id, job);
+    this.persist(job);
+    this.pending.push(job.id);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Job | undefined}
+   */
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id
+   * @returns {Job | undefined} the job, or undefined if unknown
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED.has(job.status)) {
+      return job;
+    }
+
+    this.pending = this.pending.filter(pendingId => pendingId !== id);
+    this.running.get(id)?.abort();
+    this.update(job, { status: 'cancelled', finished_at: new Date().toISOString() });
+
+    return job;
+  }
+
+  /**
+   * Start queued jobs while below the concurrency limit
+   */
+  drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job && job.status === 'queued') {
+        this.start(job).catch(error => {
+          console.error(`❌ Job ${job.id} could not be updated: ${error.message}`);
+        });
+      }
+    }
+  }
+
+  /**
+   * @param {Job} job
+   */
+  async start(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+
+    try {
+      this.update(job, { status: 'running', started_at: new Date().toISOString() });
+      const result = await this.runner(job, {
+        signal: controller.signal,
+        onProgress: ({ stage, progress }) => {
+          if (!controller.signal.aborted) {
+            this.update(job, { stage, progress });
+          }
+        },
+        onRun: runId => {
+          if (runId !== job.run_id) {
+            this.update(job, { run_id: runId });
+          }
+        },
+        emit: event => this.record(job, event),
+      });
+
+      if (!controller.signal.aborted) {
+        this.update(job, {
+          status: 'completed',
+          stage: 'done',
+          progress: 1,
+          result,
+          finished_at: new Date().toISOString(),
+        });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        this.update(job, {
+          status: 'failed',
+          error: error.message,
+          finished_at: new Date().toISOString(),
+        });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  /**
+   * @param {Job} job
+   * @param {Partial<Job>} changes
+   */
+  update(job, changes) {
+    const statusChanged = changes.status !== undefined && changes.status !== job.status;
+    Object.assign(job, changes, { updated_at: new Date().toISOString() });
+
+    if (statusChanged) {
+      this.record(job, { type: 'job_status', status: job.status, error: job.error, timestamp: job.updated_at });
+      if (FINISHED.has(job.status)) {
+        this.prune();
+      }
+    } else {
+      this.persist(job);
+    }
+  }
+
+  /**
+   * Remove the oldest finished jobs beyond the retention limit
+   */
+  prune() {
+    const finished = [...this.jobs.values()]
+      .filter(job => FINISHED.has(job.status))
+      .sort((a, b) => (a.finished_at ?? a.updated_at).localeCompare(b.finished_at ?? b.updated_at));
+
+    for (const job of finished.slice(0, Math.max(0, finished.length - this.retention))) {
+      this.jobs.delete(job.id);
+      fs.rmSync(path.join(this.dir, `${job.id}.json`), { force: true });
+    }
+  }
+
+  /**
+   * Store a pipeline event on the job and notify subscribers
+   * @param {Job} job
+   * @param {Object} event
+   */
+  record(job, event) {
+    job.events = [...(job.events || []), event].slice(-MAX_JOB_EVENTS);
+    if (!UNPERSISTED_EVENTS.has(event.type)) {
+      this.persist(job);
+    }
+    this.emit('event', job.id, event);
+  }
+
+  /**
+   * Check whether a job will not change any more
+   * @param {Job} job
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return FINISHED.has(job.status);
+  }
+
+  /**
+   * @param {Job} job
+   */
+  persist(job) {
+    fs.writeFileSync(path.join(this.dir, `${job.id}.json`), JSON.stringify(job, null, 2));
+  }
+
+  /**
+   * Reload persisted jobs. Jobs interrupted by a restart are queued again and
+   * resume their run from its last checkpoint instead of starting over.
+   */
+  load() {
+    const files = fs.readdirSync(this.dir).filter(file => file.endsWith('.json'));
+    const restored = [];
+
+    for (const file of files) {
+      try {
+        restored.push(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8')));
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable job file ${file}: ${error.message}`);
+      }
+    }
+
+    restored.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    for (const job of restored) {
+      this.jobs.set(job.id, job);
+      if (!FINISHED.has(job.status)) {
+        const options = job.run_id ? { ...job.options, resume: job.run_id } : job.options;
+        this.update(job, { status: 'queued', stage: 'queued', progress: 0, options });
+        this.pending.push(job.id);
+      }
+    }
+
+    this.prune();
+    this.drain();
+  }
+}
+
+/**
+ * Public view of a job (without the submitted input and event log)
+ * @param {Job} job
+ * @returns {Omit<Job, 'input' | 'events'>}
+ */
+export function serializeJob(job) {
+  const { input, events, ...rest } = job;
+  return rest;
+}
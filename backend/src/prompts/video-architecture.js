@@ -2,6 +2,8 @@
  * System and user prompts for video architecture generation
  */
 
+import { describeAsset } from '../core/assets.js';
+
 /** ------------------------------------------------------------------
  *  System prompt – never changes (you can put it in a .env if you wish)
  * ------------------------------------------------------------------- */
@@ -43,7 +45,7 @@ export const SYSTEM_PROMPT = `You are the **Chief Video Architect (CVA)**. Your
  * ------------------------------------------------------------------- */
 export function buildUserPrompt(input) {
   const assetsList = input.assets
-    .map(asset => `  - ${asset.id} (${asset.type}): ${asset.src}`)
+    .map(asset => `  - ${describeAsset(asset)}`)
     .join('\n');
 
   return `Analyze this video generation request and create a structured plan:
@@ -66,11 +68,12 @@ INSTRUCTIONS:
 - Voiceover: ${input.instructions.voiceover ? JSON.stringify(input.instructions.voiceover) : 'none'}
 
 Create a video structure that:
-1. Uses all provided image assets
+1. Uses all provided image and video assets
 2. Meets the target duration (or calculates appropriate duration if auto)
 3. Creates logical segment flow
 4. Accounts for transitions between segments
-5. Allocates time for voiceover if present
+5. Allocates time for voiceover if present (voiceover_duration must equal the measured duration when given)
+6. Never gives a video segment a duration longer than the clip's usable length
 
 Return ONLY the JSON object defined in the system prompt.`;
 }
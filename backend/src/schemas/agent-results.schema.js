@@ -0,0 +1,118 @@
+/**
+ * Zod schemas for the CD, VE, AE, SCO and plan judge results
+ */
+
+import { z } from 'zod';
+
+const PointSchema = z.object({
+  x: z.number(),
+  y: z.number(),
+});
+
+const KenBurnsSchema = z.object({
+  start: PointSchema.extend({ scale: z.number().positive() }),
+  end: PointSchema.extend({ scale: z.number().positive() }),
+});
+
+const TransformSchema = z.object({
+  zoom: z.object({ start: z.number(), end: z.number() }).optional(),
+  pan: z.object({ start: PointSchema, end: PointSchema }).optional(),
+  rotation: z.number().optional(),
+});
+
+// Creative Director
+export const CDResultSchema = z.object({
+  creative_direction: z.object({
+    style: z.string(),
+    mood: z.string(),
+    feel: z.string().optional(),
+  }),
+  per_image: z.array(z.object({
+    asset_id: z.string(),
+    ken_burns: KenBurnsSchema.optional(),
+    caption: z.string().nullable().optional(),
+    mood_notes: z.string().optional(),
+    style_notes: z.string().optional(),
+  })),
+  transitions: z.array(z.string()).default([]),
+  captions: z.array(z.object({
+    asset_id: z.string(),
+    text: z.string(),
+    timing: z.object({
+      start: z.number().nonnegative(),
+      end: z.number().nonnegative(),
+    }),
+  })).default([]),
+});
+
+// Video Engineer
+export const TimelineEventSchema = z.object({
+  segment_id: z.string(),
+  start_ms: z.number().nonnegative(),
+  end_ms: z.number().nonnegative(),
+  transform: TransformSchema.default({}),
+  transition: z.object({
+    type: z.string(),
+    duration_ms: z.number().nonnegative(),
+    offset_ms: z.number().nonnegative().optional(),
+  }).nullable().optional(),
+});
+
+export const VEResultSchema = z.object({
+  timeline: z.array(TimelineEventSchema).nonempty(),
+  transforms: z.array(z.object({
+    segment_id: z.string(),
+    transform: TransformSchema,
+  })).default([]),
+  transition_offsets: z.array(z.object({
+    segment_id: z.string(),
+    offset_ms: z.number().nonnegative(),
+  })).default([]),
+});
+
+// Audio Engineer
+const DuckingSchema = z.object({
+  when: z.string(),
+  target_volume: z.number().min(0).max(1),
+  fade_duration: z.number().nonnegative(),
+});
+
+export const AEResultSchema = z.object({
+  audio_tracks: z.array(z.object({
+    id: z.string(),
+    src: z.string(),
+    start_time: z.number().nonnegative(),
+    duration: z.number().positive().optional(),
+    volume: z.number().min(0),
+    ducking: DuckingSchema.optional(),
+  })),
+  ducking_rules: z.array(DuckingSchema.extend({
+    track_id: z.string(),
+    fade_duration: z.number().nonnegative().optional(),
+  })).default([]),
+  music_loop: z.object({ start: z.number(), end: z.number() }).nullable().optional(),
+  target_lufs: z.number().min(-70).max(0),
+  mixing_instructions: z.string().default(''),
+});
+
+// Safety & Compliance Officer
+export const SCOResultSchema = z.object({
+  safety_issue: z.boolean(),
+  safety_reason: z.string().nullable().default(null),
+  copyright_risk: z.boolean().default(false),
+  personal_image_risk: z.boolean().default(false),
+  deepfake_risk: z.boolean().default(false),
+  safe_alternative: z.object({
+    modified_instructions: z.record(z.any()).nullable().optional(),
+    warnings: z.array(z.string()).default([]),
+  }).nullable().optional(),
+});
+
+// Plan Judge
+export const JudgeResultSchema = z.object({
+  rankings: z.array(z.object({
+    variant: z.number().int().positive(),
+    score: z.number().min(0).max(10),
+    reason: z.string(),
+  })),
+});
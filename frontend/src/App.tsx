@@ -1,5 +1,10 @@
-import { useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import TimelinePlayer from './components/TimelinePlayer'
+import PipelineStatus, { applyPipelineEvent, initialStages, PipelineEvent, StageStatus } from './components/PipelineStatus'
+import PlanPicker, { RankedPlan, RankedPlans } from './components/PlanPicker'
+
+// Most candidate plans the backend will generate for one request
+const MAX_VARIANTS = 5
 
 export interface VideoTimeline {
   segments: Array<{
@@ -29,35 +34,138 @@ function App() {
   const [timeline, setTimeline] = useState<VideoTimeline | null>(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState<string | null>(null)
+  const [stages, setStages] = useState<StageStatus[] | null>(null)
+  const [statusMessage, setStatusMessage] = useState<string | null>(null)
+  const [plans, setPlans] = useState<RankedPlans | null>(null)
+  const [selectedVariant, setSelectedVariant] = useState<number | null>(null)
+  // Candidate plans to generate and rank before the user picks one to render; 1 renders straight away
+  const [variants, setVariants] = useState(1)
+  const eventsRef = useRef<EventSource | null>(null)
+
+  // Close the event stream when the page goes away
+  useEffect(() => () => eventsRef.current?.close(), [])
+
+  // Follow a queued job's live events until it finishes
+  const followJob = (jobId: string) => {
+    eventsRef.current?.close()
+    const events = new EventSource(`/api/jobs/${jobId}/events`)
+    eventsRef.current = events
+
+    const onPipelineEvent = (message: MessageEvent) => {
+      const event: PipelineEvent = JSON.parse(message.data)
+      setStages(prev => applyPipelineEvent(prev || initialStages(), event))
+      if (event.type === 'ffmpeg_command') {
+        setStatusMessage(`FFmpeg ${event.index}/${event.total}: ${event.description}`)
+      } else if (event.type === 'retry') {
+        setStatusMessage(`${event.stage}: retrying after ${event.error}`)
+      }
+    }
+    for (const type of ['stage_started', 'stage_finished', 'usage', 'retry', 'ffmpeg_command', 'pipeline_failed']) {
+      events.addEventListener(type, onPipelineEvent)
+    }
+
+    // Each candidate plan runs the pipeline again from the start
+    events.addEventListener('variant_started', (message: MessageEvent) => {
+      const event = JSON.parse(message.data)
+      setStages(initialStages())
+      setStatusMessage(`Planning variant ${event.variant}/${event.variants}${event.style_seed ? `: ${event.style_seed}` : ''}`)
+    })
+
+    events.addEventListener('end', (message: MessageEvent) => {
+      events.close()
+      const job = JSON.parse(message.data)
+      if (job.status === 'completed' && job.result?.variants) {
+        setPlans(job.result)
+        selectPlan(job.result.variants[0])
+        setStatusMessage(`Ranked ${job.result.variants.length} candidate plans`)
+      } else if (job.status === 'completed' && job.result?.json_output?.react_timeline) {
+        setTimeline(job.result.json_output.react_timeline)
+        setStatusMessage(job.result.human_summary)
+      } else if (job.status !== 'completed') {
+        setError(job.error || `Job ${job.status}`)
+      }
+      setLoading(false)
+    })
+
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        setError('Lost connection to the job event stream')
+        setLoading(false)
+      }
+    }
+  }
+
+  // Preview a candidate plan's timeline
+  const selectPlan = (plan: RankedPlan) => {
+    setSelectedVariant(plan.variant)
+    setTimeline(plan.json_output.react_timeline)
+  }
+
+  // Render the chosen plan by resuming its run: every stage is restored, then FFmpeg runs
+  const handleRender = async (plan: RankedPlan) => {
+    setLoading(true)
+    setError(null)
+    setStatusMessage(null)
+    setStages(initialStages())
+    selectPlan(plan)
+
+    try {
+      const response = await fetch(`/api/jobs?resume=${encodeURIComponent(plan.run_id)}&execute=true`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({}),
+      })
+
+      if (!response.ok) {
+        throw new Error('Failed to start rendering')
+      }
+
+      const data = await response.json()
+      followJob(data.job_id)
+    } catch (err: any) {
+      setError(err.message)
+      setLoading(false)
+    }
+  }
 
   const handleGenerate = async () => {
     setLoading(true)
     setError(null)
+    setTimeline(null)
+    setStatusMessage(null)
+    setPlans(null)
+    setSelectedVariant(null)
+    setStages(initialStages())
     
     try {
-      // Example: Load timeline from API
-      const response = await fetch('/api/generate', {
+      // Example: Queue a job for candidate plans and follow its progress
+      const response = await fetch('/api/jobs', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          project_id: 'demo-001',
-          video_settings: {
-            resolution: '1920x1080',
-            fps: 30,
-            format: 'mp4',
-            codec: 'libx264',
-            crf: 18,
-          },
-          assets: [
-            { id: 'img1', type: 'image', src: 'https://example.com/image1.jpg' },
-          ],
-          instructions: {
-            style: 'cinematic',
-            camera_movement: 'kenburns',
-            transitions: 'crossfade',
-            target_duration: 10,
+          ...(variants > 1 && { variants }),
+          input: {
+            project_id: 'demo-001',
+            video_settings: {
+              resolution: '1920x1080',
+              fps: 30,
+              format: 'mp4',
+              codec: 'libx264',
+              crf: 18,
+            },
+            assets: [
+              { id: 'img1', type: 'image', src: 'https://example.com/image1.jpg' },
+            ],
+            instructions: {
+              style: 'cinematic',
+              camera_movement: 'kenburns',
+              transitions: 'crossfade',
+              target_duration: 10,
+            },
           },
         }),
       })
@@ -67,12 +175,9 @@ function App() {
       }
 
       const data = await response.json()
-      if (data.json_output?.react_timeline) {
-        setTimeline(data.json_output.react_timeline)
-      }
+      followJob(data.job_id)
     } catch (err: any) {
       setError(err.message)
-    } finally {
       setLoading(false)
     }
   }
@@ -85,7 +190,7 @@ function App() {
       </header>
 
       <main className="flex-1 p-8 max-w-7xl mx-auto w-full">
-        <div className="mb-8">
+        <div className="mb-8 flex items-center gap-6">
           <button 
             onClick={handleGenerate} 
             disabled={loading}
@@ -93,14 +198,41 @@ function App() {
           >
             {loading ? 'Generating...' : 'Generate Video'}
           </button>
+          <label className="flex items-center gap-2 text-gray-700">
+            Candidate plans
+            <select
+              value={variants}
+              onChange={event => setVariants(Number(event.target.value))}
+              disabled={loading}
+              className="px-3 py-2 rounded-lg border border-gray-300"
+            >
+              {Array.from({ length: MAX_VARIANTS }, (_, index) => index + 1).map(count => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+          </label>
         </div>
 
+        {stages && (
+          <PipelineStatus stages={stages} message={statusMessage} />
+        )}
+
         {error && (
           <div className="p-4 bg-red-50 text-red-700 rounded-lg mb-8">
             Error: {error}
           </div>
         )}
 
+        {plans && plans.variants.length + plans.failed.length > 1 && (
+          <PlanPicker
+            plans={plans}
+            selected={selectedVariant}
+            rendering={loading}
+            onSelect={selectPlan}
+            onRender={handleRender}
+          />
+        )}
+
         {timeline && (
           <TimelinePlayer timeline={timeline} />
         )}
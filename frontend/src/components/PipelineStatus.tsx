@@ -0,0 +1,97 @@
+export type StageState = 'pending' | 'running' | 'done' | 'failed'
+
+export interface StageStatus {
+  stage: string
+  state: StageState
+  durationMs?: number
+  tokens?: number
+  retries?: number
+}
+
+export interface PipelineEvent {
+  type: string
+  stage?: string | null
+  duration_ms?: number
+  total_tokens?: number
+  index?: number
+  total?: number
+  description?: string
+  error?: string
+}
+
+export const PIPELINE_STAGES = ['assets', 'CVA', 'CD', 'SCO', 'VE', 'timeline', 'AE', 'OC', 'rendering']
+
+export function initialStages(): StageStatus[] {
+  return PIPELINE_STAGES.map(stage => ({ stage, state: 'pending' }))
+}
+
+// Fold one pipeline event into the per-stage status list
+export function applyPipelineEvent(stages: StageStatus[], event: PipelineEvent): StageStatus[] {
+  const stage = event.type === 'ffmpeg_command' ? 'rendering' : event.stage
+  if (!stage) {
+    return stages
+  }
+
+  // Custom pipeline stages show up as they start, ahead of rendering
+  if (event.type === 'stage_started' && !stages.some(status => status.stage === stage)) {
+    const rendering = stages.findIndex(status => status.stage === 'rendering')
+    const at = rendering === -1 ? stages.length : rendering
+    stages = [...stages.slice(0, at), { stage, state: 'pending' }, ...stages.slice(at)]
+  }
+
+  return stages.map(status => {
+    if (status.stage !== stage) {
+      return status
+    }
+
+    switch (event.type) {
+      case 'stage_started':
+      case 'ffmpeg_command':
+        return { ...status, state: 'running' }
+      case 'stage_finished':
+        return { ...status, state: 'done', durationMs: event.duration_ms }
+      case 'usage':
+        return { ...status, tokens: (status.tokens || 0) + (event.total_tokens || 0) }
+      case 'retry':
+        return { ...status, retries: (status.retries || 0) + 1 }
+      case 'pipeline_failed':
+        return { ...status, state: 'failed' }
+      default:
+        return status
+    }
+  })
+}
+
+const STATE_CLASSES: Record<StageState, string> = {
+  pending: 'bg-gray-100 text-gray-500',
+  running: 'bg-indigo-100 text-indigo-700 animate-pulse',
+  done: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+}
+
+export default function PipelineStatus({ stages, message }: { stages: StageStatus[], message?: string | null }) {
+  return (
+    <div className="mb-8">
+      <div className="grid grid-cols-4 md:grid-cols-8 gap-2">
+        {stages.map(status => (
+          <div key={status.stage} className={`p-3 rounded-lg text-sm ${STATE_CLASSES[status.state]}`}>
+            <div className="font-semibold">{status.stage}</div>
+            <div className="opacity-80">{status.state}</div>
+            {status.durationMs !== undefined && (
+              <div className="opacity-80">{(status.durationMs / 1000).toFixed(1)}s</div>
+            )}
+            {status.tokens !== undefined && (
+              <div className="opacity-80">{status.tokens} tokens</div>
+            )}
+            {status.retries !== undefined && (
+              <div className="opacity-80">{status.retries} retries</div>
+            )}
+          </div>
+        ))}
+      </div>
+      {message && (
+        <p className="mt-2 text-sm text-gray-600">{message}</p>
+      )}
+    </div>
+  )
+}
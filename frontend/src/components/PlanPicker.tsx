@@ -0,0 +1,89 @@
+import type { VideoTimeline } from '../App'
+
+export interface PlanScore {
+  duration: number
+  coverage: number
+  safety: number
+  checks: number
+  judge?: number
+  judge_reason?: string
+  total: number
+}
+
+export interface RankedPlan {
+  rank: number
+  variant: number
+  style_seed: string | null
+  run_id: string
+  score: PlanScore
+  json_output: {
+    total_duration: number
+    safety_issue: boolean
+    safety_reason: string | null
+    react_timeline: VideoTimeline
+  }
+  human_summary: string
+}
+
+export interface RankedPlans {
+  variants: RankedPlan[]
+  failed: Array<{ variant: number, style_seed: string | null, error: string }>
+}
+
+interface PlanPickerProps {
+  plans: RankedPlans
+  selected: number | null
+  rendering: boolean
+  onSelect: (plan: RankedPlan) => void
+  onRender: (plan: RankedPlan) => void
+}
+
+// Candidate plans best first; picking one previews it, Render renders it from its saved run
+export default function PlanPicker({ plans, selected, rendering, onSelect, onRender }: PlanPickerProps) {
+  return (
+    <div className="mb-8">
+      <h2 className="text-xl font-semibold mb-4 text-gray-800">Pick a plan to render</h2>
+      <div className="flex flex-col gap-2">
+        {plans.variants.map(plan => (
+          <div
+            key={plan.variant}
+            onClick={() => onSelect(plan)}
+            className={`p-4 rounded-lg cursor-pointer border-2 transition-colors ${
+              plan.variant === selected ? 'border-indigo-500 bg-indigo-50' : 'border-transparent bg-gray-100 hover:bg-gray-200'
+            }`}
+          >
+            <div className="flex items-center gap-4">
+              <div className="text-2xl font-bold text-indigo-500">#{plan.rank}</div>
+              <div className="flex-1">
+                <div className="font-semibold text-gray-800">
+                  Variant {plan.variant}{plan.style_seed && `: ${plan.style_seed}`}
+                </div>
+                <div className="text-sm text-gray-600">{plan.human_summary}</div>
+                <div className="text-sm text-gray-500">
+                  Score {plan.score.total.toFixed(2)} · duration {plan.score.duration.toFixed(2)} · coverage {plan.score.coverage.toFixed(2)}
+                  {' · '}{plan.score.safety ? 'safe' : `safety issue: ${plan.json_output.safety_reason}`}
+                  {plan.score.judge !== undefined && ` · judge ${plan.score.judge}/10 (${plan.score.judge_reason})`}
+                </div>
+              </div>
+              <button
+                onClick={event => {
+                  event.stopPropagation()
+                  onRender(plan)
+                }}
+                disabled={rendering}
+                className="px-4 py-2 bg-indigo-500 text-white rounded-lg border-none cursor-pointer transition-colors hover:bg-indigo-600 disabled:opacity-60 disabled:cursor-not-allowed"
+              >
+                Render
+              </button>
+            </div>
+          </div>
+        ))}
+        {plans.failed.map(failure => (
+          <div key={failure.variant} className="p-4 rounded-lg bg-red-50 text-red-700 text-sm">
+            Variant {failure.variant}{failure.style_seed && ` (${failure.style_seed})`} failed: {failure.error}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}